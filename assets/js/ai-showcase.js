@@ -0,0 +1,349 @@
+/**
+ * RustPress Enterprise Theme - AI Showcase
+ * Types prompts and streams simulated responses in the AI demo window.
+ * With reduced motion (RustPress.motion) each exchange is shown whole and
+ * only the next button moves on.
+ */
+
+(function() {
+  'use strict';
+
+  const { t } = window.RustPress.i18n;
+  const { motion } = window.RustPress;
+
+  class PromptShowcase {
+    constructor(element, options = {}) {
+      this.element = element;
+      this.options = {
+        source: element.dataset.aiSource || null,
+        promptSpeed: parseInt(element.dataset.promptSpeed) || 45,
+        responseSpeed: parseInt(element.dataset.responseSpeed) || 15,
+        thinkingDelay: 700,
+        holdDelay: parseInt(element.dataset.holdDelay) || 3000,
+        ...options
+      };
+
+      this.items = [];
+      this.index = 0;
+      this.phase = 'prompt';
+      this.charIndex = 0;
+      this.timer = null;
+      this.pauseReasons = new Set();
+      this.controller = new AbortController();
+      this.observer = null;
+      this.unsubscribeMotion = null;
+
+      // With reduced motion each exchange is shown whole instead of typed out
+      if (motion.isReduced()) {
+        this.pauseReasons.add('motion');
+      }
+
+      this.init();
+    }
+
+    async init() {
+      // The demo window needs somewhere to type the prompt and the response
+      if (!this.element.querySelector('.ai-prompt-cycle') || !this.element.querySelector('.ai-demo-output')) {
+        console.warn('AI showcase needs .ai-prompt-cycle and .ai-demo-output elements');
+        return;
+      }
+
+      this.items = await this.loadItems();
+      if (!this.items.length || this.pauseReasons.has('destroyed')) return;
+
+      this.createShowcase();
+      this.bindEvents();
+      this.showItem(0);
+    }
+
+    /**
+     * Prompts come from an endpoint, an inline JSON script, or legacy .ai-prompt spans
+     */
+    async loadItems() {
+      if (this.options.source) {
+        try {
+          const response = await fetch(this.options.source, {
+            headers: { 'Accept': 'application/json' }
+          });
+          if (!response.ok) throw new Error('Failed to load prompts');
+          const data = await response.json();
+          const items = this.normalizeItems(Array.isArray(data) ? data : data.prompts);
+          if (items.length) return items;
+        } catch (error) {
+          console.warn('AI showcase source unavailable, using inline prompts:', error);
+        }
+      }
+
+      const inline = this.element.querySelector('script[type="application/json"][data-ai-prompts]');
+      if (inline) {
+        try {
+          return this.normalizeItems(JSON.parse(inline.textContent));
+        } catch (error) {
+          console.error('Invalid AI showcase JSON:', error);
+        }
+      }
+
+      return this.normalizeItems(
+        Array.from(this.element.querySelectorAll('.ai-prompt')).map(el => ({
+          prompt: el.textContent.trim(),
+          response: el.dataset.response || ''
+        }))
+      );
+    }
+
+    normalizeItems(items) {
+      if (!Array.isArray(items)) return [];
+
+      return items
+        .map(item => (typeof item === 'string' ? { prompt: item, response: '' } : item))
+        .filter(item => item && item.prompt)
+        .map(item => ({ prompt: String(item.prompt), response: String(item.response || '') }));
+    }
+
+    createShowcase() {
+      this.promptElement = this.element.querySelector('.ai-prompt-cycle');
+      this.outputElement = this.element.querySelector('.ai-demo-output');
+      this.indicator = this.element.querySelector('.ai-typing-indicator');
+
+      // Visual typing is hidden from assistive tech; the live region announces instead
+      this.promptElement.innerHTML = '';
+      this.promptText = document.createElement('span');
+      this.promptText.className = 'ai-prompt-text';
+      this.promptText.setAttribute('aria-hidden', 'true');
+      this.promptElement.appendChild(this.promptText);
+
+      this.responseText = document.createElement('p');
+      this.responseText.className = 'ai-demo-response';
+      this.responseText.setAttribute('aria-hidden', 'true');
+      this.outputElement.appendChild(this.responseText);
+
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'sr-only';
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      this.element.appendChild(this.liveRegion);
+
+      // Controls
+      const header = this.element.querySelector('.ai-demo-header') || this.element;
+      const controls = document.createElement('div');
+      controls.className = 'ai-demo-controls';
+      controls.innerHTML = `
+        <button type="button" class="ai-demo-control ai-demo-toggle" aria-label="${t('showcase.pause')}" data-i18n-aria-label="showcase.pause">
+          <svg class="icon-pause" xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>
+          <svg class="icon-play" xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21 5 3"/></svg>
+        </button>
+        <button type="button" class="ai-demo-control ai-demo-next" aria-label="${t('showcase.next')}" data-i18n-aria-label="showcase.next">
+          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 18 15 12 9 6"/></svg>
+        </button>
+      `;
+      header.appendChild(controls);
+
+      this.controls = controls;
+      this.toggleButton = controls.querySelector('.ai-demo-toggle');
+      this.nextButton = controls.querySelector('.ai-demo-next');
+      this.toggleButton.hidden = this.pauseReasons.has('motion');
+      this.element.classList.add('ai-showcase-initialized');
+    }
+
+    bindEvents() {
+      const { signal } = this.controller;
+
+      this.toggleButton.addEventListener('click', () => {
+        if (this.pauseReasons.has('user')) {
+          this.resume('user');
+        } else {
+          this.pause('user');
+        }
+      }, { signal });
+
+      this.nextButton.addEventListener('click', () => this.next(), { signal });
+
+      // Pause while the visitor is reading or interacting
+      this.element.addEventListener('mouseenter', () => this.pause('hover'), { signal });
+      this.element.addEventListener('mouseleave', () => this.resume('hover'), { signal });
+      this.element.addEventListener('focusin', () => this.pause('focus'), { signal });
+      this.element.addEventListener('focusout', (e) => {
+        if (!this.element.contains(e.relatedTarget)) {
+          this.resume('focus');
+        }
+      }, { signal });
+
+      // Pause when off-screen or in a background tab
+      if ('IntersectionObserver' in window) {
+        this.observer = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            if (entry.isIntersecting) {
+              this.resume('offscreen');
+            } else {
+              this.pause('offscreen');
+            }
+          });
+        }, { threshold: 0.2 });
+
+        this.observer.observe(this.element);
+      }
+
+      document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+          this.pause('hidden');
+        } else {
+          this.resume('hidden');
+        }
+      }, { signal });
+
+      this.unsubscribeMotion = motion.onChange((reduced) => {
+        this.toggleButton.hidden = reduced;
+        if (reduced) {
+          this.pause('motion');
+          // Finish the exchange in progress rather than freezing mid-word
+          if (this.phase !== 'hold') this.complete();
+        } else {
+          this.resume('motion');
+        }
+      });
+    }
+
+    get isPaused() {
+      return this.pauseReasons.size > 0;
+    }
+
+    pause(reason) {
+      this.pauseReasons.add(reason);
+      this.clearTimer();
+      this.updateControls();
+    }
+
+    resume(reason) {
+      this.pauseReasons.delete(reason);
+      this.updateControls();
+      if (!this.isPaused && !this.timer) {
+        this.schedule(this.phase === 'hold' ? this.options.holdDelay : this.options.promptSpeed);
+      }
+    }
+
+    updateControls() {
+      const userPaused = this.pauseReasons.has('user');
+      this.element.classList.toggle('is-paused', userPaused);
+      this.toggleButton.dataset.i18nAriaLabel = userPaused ? 'showcase.play' : 'showcase.pause';
+      this.toggleButton.setAttribute('aria-label', t(this.toggleButton.dataset.i18nAriaLabel));
+    }
+
+    next() {
+      this.showItem((this.index + 1) % this.items.length);
+    }
+
+    showItem(index) {
+      this.clearTimer();
+      this.index = index;
+      this.phase = 'prompt';
+      this.charIndex = 0;
+      this.promptText.textContent = '';
+      this.responseText.textContent = '';
+      this.indicator?.classList.add('hidden');
+
+      // While paused, show the whole exchange at once instead of freezing mid-word
+      if (this.isPaused) {
+        this.complete();
+        return;
+      }
+
+      this.schedule(this.options.promptSpeed);
+    }
+
+    complete() {
+      const item = this.items[this.index];
+      this.promptText.textContent = item.prompt;
+      this.responseText.textContent = item.response;
+      this.indicator?.classList.add('hidden');
+      this.phase = 'hold';
+      this.announce(item);
+    }
+
+    announce(item) {
+      this.liveRegion.textContent = t('showcase.announce', {
+        index: this.index + 1,
+        total: this.items.length,
+        prompt: item.prompt
+      });
+    }
+
+    schedule(delay) {
+      this.clearTimer();
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.tick();
+      }, delay);
+    }
+
+    clearTimer() {
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+    }
+
+    tick() {
+      if (this.isPaused) return;
+
+      const item = this.items[this.index];
+
+      switch (this.phase) {
+        case 'prompt':
+          this.charIndex++;
+          this.promptText.textContent = item.prompt.slice(0, this.charIndex);
+          if (this.charIndex < item.prompt.length) {
+            this.schedule(this.options.promptSpeed);
+          } else {
+            this.announce(item);
+            this.phase = 'thinking';
+            this.indicator?.classList.remove('hidden');
+            this.schedule(this.options.thinkingDelay);
+          }
+          break;
+
+        case 'thinking':
+          this.indicator?.classList.add('hidden');
+          this.phase = 'response';
+          this.charIndex = 0;
+          this.schedule(0);
+          break;
+
+        case 'response':
+          this.charIndex++;
+          this.responseText.textContent = item.response.slice(0, this.charIndex);
+          if (this.charIndex < item.response.length) {
+            this.schedule(this.options.responseSpeed);
+          } else {
+            this.phase = 'hold';
+            this.schedule(this.options.holdDelay);
+          }
+          break;
+
+        case 'hold':
+          this.next();
+          break;
+      }
+    }
+
+    destroy() {
+      this.clearTimer();
+      this.pauseReasons.add('destroyed');
+      this.controller.abort();
+      this.unsubscribeMotion?.();
+      this.observer?.disconnect();
+      this.controls?.remove();
+      this.responseText?.remove();
+      this.liveRegion?.remove();
+      this.element.classList.remove('ai-showcase-initialized', 'is-paused');
+    }
+  }
+
+  // Register component
+  window.RustPress.components.register('ai-showcase', {
+    selector: '[data-ai-showcase]',
+    mount: (el) => new PromptShowcase(el)
+  });
+
+  // Expose for manual use
+  window.PromptShowcase = PromptShowcase;
+
+})();
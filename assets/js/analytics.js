@@ -0,0 +1,299 @@
+/**
+ * RustPress Enterprise Theme - Analytics
+ * Consent-aware event tracking. Events are queued and sent in batches, and
+ * whatever is left is flushed with navigator.sendBeacon when the page is hidden.
+ *
+ * Usage:
+ *   RustPress.analytics.track('download', { platform: 'linux', version: '1.0.0' });
+ *   RustPress.analytics.setConsent(true);
+ *   RustPress.analytics.setTransport((events, { beacon }) => myCollector.send(events));
+ *
+ * Nothing is recorded when Do-Not-Track or Global Privacy Control is on. Until
+ * consent is given (see settings.analytics.requireConsent) events stay in memory
+ * and are dropped if consent is refused. The "analytics" category of
+ * RustPress.consent grants or refuses it.
+ *
+ * Download clicks are also counted at settings.analytics.downloadEndpoint. That
+ * first-party counter only sends the platform and version, so it runs regardless.
+ */
+
+(function() {
+  'use strict';
+
+  const { config, consent: consentManager, hooks } = window.RustPress;
+
+  const BATCH_SIZE = 10;
+  const FLUSH_INTERVAL = 5000;
+  const MAX_PENDING = 50;
+  const TEXT_LIMIT = 200;
+
+  // Event types and the properties each one accepts
+  const EVENTS = {
+    page_view: ['title'],
+    download: ['platform', 'version'],
+    form_submit: ['form', 'status'],
+    billing_toggle: ['cycle', 'location'],
+    checkout_step: ['step', 'plan', 'cycle'],
+    outbound_link: ['url', 'host']
+  };
+
+  // Pricing page switch button and checkout checkbox
+  const BILLING_SWITCH_SELECTOR = '.billing-switch';
+  const BILLING_CHECKBOX_SELECTOR = '#billing-toggle';
+
+  const endpoint = config.get('analytics.endpoint', '/api/analytics/collect');
+  const downloadEndpoint = config.get('analytics.downloadEndpoint', '/api/downloads/track');
+  const doNotTrack = navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+
+  let consent = config.get('analytics.requireConsent', true) ? 'pending' : 'granted';
+  let queue = [];
+  let flushTimer = null;
+  let transport = defaultTransport;
+
+  /**
+   * Record an event; unknown types and properties are dropped
+   */
+  function track(type, properties = {}) {
+    if (doNotTrack || consent === 'denied') return;
+
+    if (!EVENTS[type]) {
+      console.warn(`Unknown analytics event "${type}"`);
+      return;
+    }
+
+    const event = hooks.applyFilters('analytics.event', {
+      type,
+      properties: pick(properties, EVENTS[type]),
+      context: getContext()
+    });
+    if (!event) return;
+
+    queue.push(event);
+
+    if (consent === 'pending') {
+      // Hold a bounded backlog until the visitor decides
+      queue = queue.slice(-MAX_PENDING);
+      return;
+    }
+
+    if (queue.length >= BATCH_SIZE) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Register an additional event type for child themes and plugins
+   */
+  function define(type, properties) {
+    EVENTS[type] = properties.slice();
+  }
+
+  function pick(properties, allowed) {
+    const result = {};
+
+    allowed.forEach(key => {
+      const value = properties[key];
+      if (typeof value === 'string') {
+        result[key] = value.slice(0, TEXT_LIMIT);
+      } else if (typeof value === 'number' || typeof value === 'boolean') {
+        result[key] = value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Coarse page context; deliberately no user agent or identifiers
+   */
+  function getContext() {
+    const width = window.innerWidth;
+
+    return {
+      path: window.location.pathname,
+      language: document.documentElement.lang || '',
+      device: width < 768 ? 'mobile' : width < 1024 ? 'tablet' : 'desktop',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send everything queued. Use the beacon when the page may be going away.
+   */
+  function flush(beacon = false) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    if (consent !== 'granted' || !queue.length) return;
+
+    const events = queue;
+    queue = [];
+
+    try {
+      const result = transport(events, { beacon, endpoint });
+      if (result && typeof result.catch === 'function') {
+        result.catch(error => console.warn('Analytics transport failed:', error));
+      }
+    } catch (error) {
+      console.warn('Analytics transport failed:', error);
+    }
+  }
+
+  function defaultTransport(events, { beacon }) {
+    const body = JSON.stringify({ events });
+
+    if ((beacon || !window.fetch) && navigator.sendBeacon) {
+      const queued = navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+      if (queued) return undefined;
+    }
+
+    return fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    });
+  }
+
+  /**
+   * Bump the server's download counter; never blocks the download itself
+   */
+  function countDownload(platform, version) {
+    const body = JSON.stringify({ platform, version, timestamp: new Date().toISOString() });
+
+    if (navigator.sendBeacon && navigator.sendBeacon(downloadEndpoint, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+
+    if (!window.fetch) return;
+
+    fetch(downloadEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch(error => console.warn('Download count failed:', error));
+  }
+
+  function setTransport(fn) {
+    transport = typeof fn === 'function' ? fn : defaultTransport;
+  }
+
+  function setConsent(granted) {
+    consent = granted ? 'granted' : 'denied';
+
+    if (granted) {
+      flush();
+    } else {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      queue = [];
+    }
+  }
+
+  /**
+   * Auto-instrumentation
+   */
+  function instrument() {
+    // Flush before the page is hidden, discarded or navigated away from
+    window.addEventListener('pagehide', () => flush(true));
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush(true);
+    });
+
+    document.addEventListener('click', (e) => {
+      const download = e.target.closest('[data-download]');
+      if (download) {
+        track('download', {
+          platform: download.dataset.download,
+          version: download.dataset.version || 'latest'
+        });
+      }
+
+      const link = e.target.closest('a[href]');
+      if (link && isOutbound(link)) {
+        const url = new URL(link.href);
+        track('outbound_link', { url: url.origin + url.pathname, host: url.hostname });
+      }
+
+      const billing = e.target.closest(BILLING_SWITCH_SELECTOR);
+      if (billing) {
+        track('billing_toggle', {
+          cycle: billing.classList.contains('active') ? 'yearly' : 'monthly',
+          location: 'pricing'
+        });
+      }
+    });
+
+    document.addEventListener('change', (e) => {
+      if (e.target.matches(BILLING_CHECKBOX_SELECTOR)) {
+        track('billing_toggle', {
+          cycle: e.target.checked ? 'yearly' : 'monthly',
+          location: 'checkout'
+        });
+      }
+    });
+
+    // Capture phase, so submits handled (and prevented) by scripts still count
+    document.addEventListener('submit', (e) => {
+      track('form_submit', { form: getFormName(e.target), status: 'attempt' });
+    }, true);
+
+    ['newsletter', 'contact', 'earlyAccess', 'waitlist'].forEach(form => {
+      hooks.addAction(`forms.${form}.success`, () => track('form_submit', { form, status: 'success' }));
+      hooks.addAction(`forms.${form}.error`, () => track('form_submit', { form, status: 'error' }));
+    });
+
+    // Pages swapped in by assets/js/transitions.js
+    hooks.addAction('transitions.after', () => track('page_view', { title: document.title }));
+
+    hooks.addAction('checkout.step', (step, detail = {}) => {
+      track('checkout_step', { step, plan: detail.plan, cycle: detail.cycle });
+    });
+    hooks.addAction('checkout.success', () => track('checkout_step', { step: 'complete' }));
+    hooks.addAction('checkout.error', () => track('checkout_step', { step: 'error' }));
+  }
+
+  function isOutbound(link) {
+    return /^https?:$/.test(link.protocol) && link.hostname !== window.location.hostname;
+  }
+
+  function getFormName(form) {
+    return form.dataset.analyticsName || form.id || form.getAttribute('name') || form.classList[0] || 'form';
+  }
+
+  // Follow the visitor's stored and future choices
+  if (consentManager) {
+    if (consentManager.get()) setConsent(consentManager.has('analytics'));
+    consentManager.onChange(choices => {
+      if (choices) setConsent(choices.analytics);
+    });
+  }
+
+  document.addEventListener('click', (e) => {
+    const download = e.target.closest('[data-download]');
+    if (download) countDownload(download.dataset.download, download.dataset.version || 'latest');
+  });
+
+  if (!doNotTrack) {
+    instrument();
+    document.addEventListener('DOMContentLoaded', () => {
+      track('page_view', { title: document.title });
+    });
+  }
+
+  // Expose for other modules
+  window.RustPress.analytics = {
+    EVENTS,
+    track,
+    define,
+    flush,
+    setTransport,
+    setConsent,
+    getConsent: () => consent,
+    isEnabled: () => !doNotTrack && consent !== 'denied'
+  };
+
+})();
@@ -1,157 +1,234 @@
 /**
  * RustPress Enterprise Theme - Animations
- * Scroll-triggered animations using Intersection Observer
+ * Scroll-triggered animations using Intersection Observer.
+ * Everything follows RustPress.motion: with reduced motion elements show
+ * their end state, parallax stops and typing completes at once.
+ * Loaded by assets/js/loader.js on pages with animation markup.
  */
 
 (function() {
   'use strict';
 
-  document.addEventListener('DOMContentLoaded', init);
+  const { components, motion } = window.RustPress;
 
-  function init() {
-    initScrollAnimations();
-    initStaggerAnimations();
-    initParallax();
-    initTypewriter();
-  }
+  let scrollObserver = null;
+  let staggerObserver = null;
+  const parallaxElements = new Set();
+  let parallaxTicking = false;
+  let parallaxListening = false;
+
+  components.register('animate', { selector: '[data-animate]', mount: mountScrollAnimation });
+  components.register('animate-stagger', { selector: '[data-animate-stagger]', mount: mountStaggerAnimation });
+  components.register('parallax', { selector: '[data-parallax]', mount: mountParallax });
+  components.register('typewriter', { selector: '.typewriter', mount: mountTypewriter });
+
+  motion.onChange((reduced) => {
+    if (reduced) revealAll();
+    syncParallax();
+  });
 
   /**
    * Scroll-Triggered Animations
    */
-  function initScrollAnimations() {
-    const elements = document.querySelectorAll('[data-animate]');
-    if (!elements.length) return;
-
-    const observerOptions = {
-      root: null,
-      rootMargin: '0px 0px -10% 0px',
-      threshold: 0.1
-    };
+  function mountScrollAnimation(el) {
+    if (motion.isReduced()) {
+      el.classList.add('animated');
+      return null;
+    }
 
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          // Add delay if specified
-          const delay = entry.target.dataset.delay || 0;
-          setTimeout(() => {
-            entry.target.classList.add('animated');
-          }, parseInt(delay));
+    if (!scrollObserver) {
+      const observerOptions = {
+        root: null,
+        rootMargin: '0px 0px -10% 0px',
+        threshold: 0.1
+      };
 
-          // Unobserve after animation (one-time)
-          if (!entry.target.dataset.animateRepeat) {
-            observer.unobserve(entry.target);
+      scrollObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            // Add delay if specified
+            const delay = entry.target.dataset.delay || 0;
+            setTimeout(() => {
+              entry.target.classList.add('animated');
+            }, parseInt(delay));
+
+            // Unobserve after animation (one-time)
+            if (!entry.target.dataset.animateRepeat) {
+              scrollObserver.unobserve(entry.target);
+            }
+          } else if (entry.target.dataset.animateRepeat) {
+            entry.target.classList.remove('animated');
           }
-        } else if (entry.target.dataset.animateRepeat) {
-          entry.target.classList.remove('animated');
-        }
-      });
-    }, observerOptions);
+        });
+      }, observerOptions);
+    }
 
-    elements.forEach(el => observer.observe(el));
+    scrollObserver.observe(el);
+    return () => scrollObserver.unobserve(el);
   }
 
   /**
    * Staggered Children Animations
    */
-  function initStaggerAnimations() {
-    const containers = document.querySelectorAll('[data-animate-stagger]');
-    if (!containers.length) return;
-
-    const observerOptions = {
-      root: null,
-      rootMargin: '0px 0px -5% 0px',
-      threshold: 0.1
-    };
+  function mountStaggerAnimation(container) {
+    if (motion.isReduced()) {
+      container.classList.add('animated');
+      return null;
+    }
 
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('animated');
-          observer.unobserve(entry.target);
-        }
-      });
-    }, observerOptions);
+    if (!staggerObserver) {
+      const observerOptions = {
+        root: null,
+        rootMargin: '0px 0px -5% 0px',
+        threshold: 0.1
+      };
+
+      staggerObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            entry.target.classList.add('animated');
+            staggerObserver.unobserve(entry.target);
+          }
+        });
+      }, observerOptions);
+    }
 
-    containers.forEach(container => observer.observe(container));
+    staggerObserver.observe(container);
+    return () => staggerObserver.unobserve(container);
+  }
+
+  // Skip to the end state of everything still waiting to animate in
+  function revealAll() {
+    document.querySelectorAll('[data-animate]:not(.animated)').forEach(el => {
+      el.classList.add('animated');
+      if (!el.dataset.animateRepeat) scrollObserver?.unobserve(el);
+    });
+    document.querySelectorAll('[data-animate-stagger]:not(.animated)').forEach(el => {
+      el.classList.add('animated');
+      staggerObserver?.unobserve(el);
+    });
   }
 
   /**
    * Parallax Effects
+   * One shared scroll listener drives every mounted element, while motion is allowed
    */
-  function initParallax() {
-    const parallaxElements = document.querySelectorAll('[data-parallax]');
-    if (!parallaxElements.length) return;
-
-    let ticking = false;
+  function mountParallax(el) {
+    parallaxElements.add(el);
+    syncParallax();
+
+    return () => {
+      parallaxElements.delete(el);
+      el.style.transform = '';
+      syncParallax();
+    };
+  }
 
-    function updateParallax() {
-      const scrollY = window.scrollY;
+  function syncParallax() {
+    const active = parallaxElements.size > 0 && !motion.isReduced();
 
-      parallaxElements.forEach(el => {
-        const speed = parseFloat(el.dataset.parallax) || 0.5;
-        const rect = el.getBoundingClientRect();
-        const inView = rect.top < window.innerHeight && rect.bottom > 0;
+    if (active && !parallaxListening) {
+      window.addEventListener('scroll', onParallaxScroll, { passive: true });
+      onParallaxScroll();
+    } else if (!active && parallaxListening) {
+      window.removeEventListener('scroll', onParallaxScroll);
+      parallaxElements.forEach(el => { el.style.transform = ''; });
+    }
 
-        if (inView) {
-          const offset = (scrollY - el.offsetTop) * speed;
-          el.style.transform = `translateY(${offset}px)`;
-        }
-      });
+    parallaxListening = active;
+  }
 
-      ticking = false;
+  function onParallaxScroll() {
+    if (!parallaxTicking) {
+      requestAnimationFrame(updateParallax);
+      parallaxTicking = true;
     }
+  }
 
-    window.addEventListener('scroll', () => {
-      if (!ticking) {
-        requestAnimationFrame(updateParallax);
-        ticking = true;
+  function updateParallax() {
+    parallaxTicking = false;
+    if (!parallaxListening) return;
+
+    const scrollY = window.scrollY;
+
+    parallaxElements.forEach(el => {
+      const speed = parseFloat(el.dataset.parallax) || 0.5;
+      const rect = el.getBoundingClientRect();
+      const inView = rect.top < window.innerHeight && rect.bottom > 0;
+
+      if (inView) {
+        const offset = (scrollY - el.offsetTop) * speed;
+        el.style.transform = `translateY(${offset}px)`;
       }
-    }, { passive: true });
+    });
   }
 
   /**
    * Typewriter Effect
    */
-  function initTypewriter() {
-    const typewriters = document.querySelectorAll('.typewriter');
-    if (!typewriters.length) return;
+  function mountTypewriter(el) {
+    if (motion.isReduced()) return null;
+
+    const text = el.textContent;
+    const speed = parseInt(el.dataset.speed) || 50;
+    let stop = null;
+
+    const finish = () => {
+      if (stop) {
+        stop();
+        stop = null;
+        el.textContent = text;
+      }
+    };
 
-    typewriters.forEach(el => {
-      const text = el.textContent;
-      const speed = parseInt(el.dataset.speed) || 50;
+    // Only animate if in viewport
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          stop = animateTypewriter(el, text, speed);
+          observer.unobserve(el);
+        }
+      });
+    }, { threshold: 0.5 });
 
-      // Only animate if in viewport
-      const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            animateTypewriter(el, text, speed);
-            observer.unobserve(el);
-          }
-        });
-      }, { threshold: 0.5 });
+    observer.observe(el);
 
-      observer.observe(el);
+    // Reduced mid-way: show the whole text
+    const unsubscribe = motion.onChange((reduced) => {
+      if (!reduced) return;
+      observer.disconnect();
+      finish();
     });
+
+    return () => {
+      observer.disconnect();
+      unsubscribe();
+      finish();
+    };
   }
 
   function animateTypewriter(element, text, speed) {
     element.textContent = '';
     element.style.width = 'auto';
     let i = 0;
+    let timer = null;
 
     function type() {
       if (i < text.length) {
         element.textContent += text.charAt(i);
         i++;
-        setTimeout(type, speed);
+        timer = setTimeout(type, speed);
       }
     }
 
     type();
+
+    return () => clearTimeout(timer);
   }
 
   /**
    * Reveal Animation on Scroll
+   * Replaces the stand-in from main.js, which loads this module on first use
    */
   window.revealOnScroll = function(selector, options = {}) {
     const elements = document.querySelectorAll(selector);
@@ -0,0 +1,151 @@
+/**
+ * RustPress Enterprise Theme - Code Tabs
+ * WAI-ARIA tabs scoped to each .code-example. Containers sharing a
+ * data-tab-group key switch together and remember the last choice.
+ */
+
+(function() {
+  'use strict';
+
+  const CODE_TAB_STORAGE_PREFIX = 'code-tab:';
+  const codeTabGroups = [];
+  let codeTabUid = 0;
+
+  function mountCodeTabs(container) {
+    const tabs = Array.from(container.querySelectorAll('.code-tab'));
+    if (!tabs.length) return null;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    const tabList = tabs[0].parentElement;
+    const panels = Array.from(container.querySelectorAll('.code-block'));
+    const prefix = container.id || 'code-example-' + (++codeTabUid);
+
+    tabList.setAttribute('role', 'tablist');
+
+    const group = {
+      container,
+      key: container.dataset.tabGroup || null,
+      tabs,
+      panels: tabs.map((tab, i) => findCodePanel(panels, tab.dataset.tab, i))
+    };
+
+    tabs.forEach((tab, i) => {
+      const panel = group.panels[i];
+      if (!tab.id) tab.id = `${prefix}-tab-${tab.dataset.tab || i}`;
+      tab.setAttribute('role', 'tab');
+
+      if (panel) {
+        if (!panel.id) panel.id = `${prefix}-panel-${tab.dataset.tab || i}`;
+        tab.setAttribute('aria-controls', panel.id);
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', tab.id);
+        panel.setAttribute('tabindex', '0');
+      }
+
+      tab.addEventListener('click', () => selectCodeTab(group, i, { sync: true, focus: false }), { signal });
+    });
+
+    tabList.addEventListener('keydown', (e) => {
+      const current = tabs.indexOf(document.activeElement);
+      if (current === -1) return;
+
+      let next = null;
+      switch (e.key) {
+        case 'ArrowRight':
+          next = (current + 1) % tabs.length;
+          break;
+        case 'ArrowLeft':
+          next = (current - 1 + tabs.length) % tabs.length;
+          break;
+        case 'Home':
+          next = 0;
+          break;
+        case 'End':
+          next = tabs.length - 1;
+          break;
+      }
+
+      if (next !== null) {
+        e.preventDefault();
+        selectCodeTab(group, next, { sync: true, focus: true });
+      }
+    }, { signal });
+
+    codeTabGroups.push(group);
+
+    // Restore a remembered choice, otherwise keep the markup's active tab
+    const saved = group.key ? readCodeTabChoice(group.key) : null;
+    const savedIndex = saved ? tabs.findIndex(tab => tab.dataset.tab === saved) : -1;
+    const activeIndex = tabs.findIndex(tab => tab.classList.contains('active'));
+    selectCodeTab(group, savedIndex !== -1 ? savedIndex : Math.max(0, activeIndex), { sync: false, focus: false });
+
+    return () => {
+      controller.abort();
+      codeTabGroups.splice(codeTabGroups.indexOf(group), 1);
+    };
+  }
+
+  function selectCodeTab(group, index, { sync, focus }) {
+    group.tabs.forEach((tab, i) => {
+      const selected = i === index;
+      tab.classList.toggle('active', selected);
+      tab.setAttribute('aria-selected', String(selected));
+      tab.setAttribute('tabindex', selected ? '0' : '-1');
+
+      const panel = group.panels[i];
+      if (panel) {
+        panel.classList.toggle('hidden', !selected);
+      }
+    });
+
+    if (focus) {
+      group.tabs[index].focus();
+    }
+
+    const value = group.tabs[index].dataset.tab;
+    if (!sync || !group.key || !value) return;
+
+    // Switch every other example sharing this group key
+    codeTabGroups.forEach(other => {
+      if (other === group || other.key !== group.key) return;
+      const match = other.tabs.findIndex(tab => tab.dataset.tab === value);
+      if (match !== -1) {
+        selectCodeTab(other, match, { sync: false, focus: false });
+      }
+    });
+
+    storeCodeTabChoice(group.key, value);
+  }
+
+  /**
+   * Resolve the panel for a tab inside its own container:
+   * data-tab-panel first, then the legacy code-<tab> id, then position
+   */
+  function findCodePanel(panels, tabId, index) {
+    return panels.find(panel => panel.dataset.tabPanel === tabId)
+      || panels.find(panel => panel.id === 'code-' + tabId)
+      || panels[index]
+      || null;
+  }
+
+  function readCodeTabChoice(key) {
+    try {
+      return localStorage.getItem(CODE_TAB_STORAGE_PREFIX + key);
+    } catch {
+      return null;
+    }
+  }
+
+  function storeCodeTabChoice(key, value) {
+    try {
+      localStorage.setItem(CODE_TAB_STORAGE_PREFIX + key, value);
+    } catch {
+      // Storage unavailable; the choice still applies to this page
+    }
+  }
+
+  // Register component
+  window.RustPress.components.register('code-tabs', { selector: '.code-example', mount: mountCodeTabs });
+
+})();
@@ -0,0 +1,194 @@
+/**
+ * RustPress Enterprise Theme - Color Scheme
+ * Tri-state (system/light/dark) color scheme with live OS tracking and cross-tab sync
+ *
+ * The initial attributes are applied by the inline bootstrap in base.html before
+ * first paint; this script keeps them in sync afterwards and dispatches a
+ * `themechange` event on document whenever the mode or resolved theme changes.
+ */
+
+(function() {
+  'use strict';
+
+  const { i18n } = window.RustPress;
+
+  const STORAGE_KEY = 'theme';
+  const MODES = ['system', 'light', 'dark'];
+
+  const TOGGLE_SELECTOR = '#theme-toggle, [data-color-scheme-set]';
+
+  const root = document.documentElement;
+  const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+  let mode = readStoredMode();
+
+  window.RustPress.components.register('color-scheme-toggle', {
+    selector: TOGGLE_SELECTOR,
+    mount: mountToggle
+  });
+
+  document.addEventListener('DOMContentLoaded', init);
+
+  function init() {
+    watchSystemPreference();
+    watchOtherTabs();
+    watchSettings();
+    apply(null);
+
+    // Labels built before the locale's catalog loaded
+    i18n.ready.then(updateToggles);
+  }
+
+  /**
+   * Read the stored mode, falling back to system when unset or unavailable
+   */
+  function readStoredMode() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return MODES.includes(stored) ? stored : 'system';
+    } catch {
+      return 'system';
+    }
+  }
+
+  function storeMode(value) {
+    try {
+      if (value === 'system') {
+        localStorage.removeItem(STORAGE_KEY);
+      } else {
+        localStorage.setItem(STORAGE_KEY, value);
+      }
+    } catch {
+      // Storage may be disabled (private mode); the choice lasts for this page only
+    }
+  }
+
+  function resolve(value) {
+    // features.darkMode off in theme.json keeps every visitor on the light scheme
+    if (!window.RustPress.config.isEnabled('darkMode')) {
+      return 'light';
+    }
+    if (value === 'system') {
+      return mediaQuery.matches ? 'dark' : 'light';
+    }
+    return value;
+  }
+
+  /**
+   * Apply the current mode to the document and notify subscribers.
+   * Pass a null source to sync attributes without dispatching an event.
+   */
+  function apply(source) {
+    const theme = resolve(mode);
+    const previousTheme = root.getAttribute('data-theme');
+    const previousMode = root.getAttribute('data-color-scheme');
+
+    root.setAttribute('data-theme', theme);
+    root.setAttribute('data-color-scheme', mode);
+    updateToggles();
+
+    if (source && (theme !== previousTheme || mode !== previousMode)) {
+      document.dispatchEvent(new CustomEvent('themechange', {
+        detail: { mode, theme, previousTheme, source }
+      }));
+    }
+  }
+
+  /**
+   * Theme Toggle Controls
+   * #theme-toggle cycles through the modes; [data-color-scheme-set] buttons pick one
+   */
+  function mountToggle(button) {
+    if (!window.RustPress.config.isEnabled('darkMode')) {
+      button.hidden = true;
+      return () => { button.hidden = false; };
+    }
+
+    const onClick = () => {
+      if (button.hasAttribute('data-color-scheme-set')) {
+        setMode(button.dataset.colorSchemeSet);
+      } else {
+        setMode(MODES[(MODES.indexOf(mode) + 1) % MODES.length]);
+      }
+    };
+
+    button.addEventListener('click', onClick);
+    updateToggle(button);
+
+    return () => button.removeEventListener('click', onClick);
+  }
+
+  function updateToggle(button) {
+    if (button.hasAttribute('data-color-scheme-set')) {
+      button.setAttribute('aria-pressed', String(button.dataset.colorSchemeSet === mode));
+    } else {
+      button.dataset.mode = mode;
+      button.setAttribute('aria-label', i18n.t('colorScheme.label', { mode: i18n.t(`colorScheme.modes.${mode}`) }));
+    }
+  }
+
+  function updateToggles() {
+    document.querySelectorAll(TOGGLE_SELECTOR).forEach(updateToggle);
+  }
+
+  /**
+   * Follow the OS setting live while in system mode
+   */
+  function watchSystemPreference() {
+    const onChange = () => {
+      if (mode === 'system') {
+        apply('system');
+      }
+    };
+
+    if (mediaQuery.addEventListener) {
+      mediaQuery.addEventListener('change', onChange);
+    } else {
+      // Fallback for older Safari
+      mediaQuery.addListener(onChange);
+    }
+  }
+
+  /**
+   * Keep open tabs in sync via the storage event
+   */
+  function watchOtherTabs() {
+    window.addEventListener('storage', (e) => {
+      if (e.key !== STORAGE_KEY && e.key !== null) return;
+
+      mode = readStoredMode();
+      apply('storage');
+    });
+  }
+
+  /**
+   * Re-resolve when features.darkMode changes (customizer live preview)
+   */
+  function watchSettings() {
+    document.addEventListener('themesettingschange', (e) => {
+      if (e.detail.changes.features && 'darkMode' in e.detail.changes.features) {
+        apply('settings');
+      }
+    });
+  }
+
+  function setMode(value) {
+    if (!MODES.includes(value)) {
+      console.warn('Unknown color scheme mode:', value);
+      return;
+    }
+
+    mode = value;
+    storeMode(value);
+    apply('user');
+  }
+
+  // Expose for other modules
+  window.RustPress.colorScheme = {
+    MODES,
+    getMode: () => mode,
+    getTheme: () => resolve(mode),
+    setMode
+  };
+
+})();
@@ -0,0 +1,596 @@
+/**
+ * RustPress Enterprise Theme - Command Palette
+ * Site-wide quick search opened with Ctrl/Cmd+K or any [data-command-palette-open]
+ * element. Fuzzy-matches pages from the menus, sections of the current page,
+ * docs and blog posts from the search index, and actions.
+ *
+ * Usage:
+ *   RustPress.commandPalette.open('install')
+ *   RustPress.hooks.addFilter('commandPalette.actions', (actions) => [...actions, {
+ *     id: 'open-chat', title: 'Open chat', run: () => chat.open()
+ *   }]);
+ *
+ * The index at settings.search.index is JSON: [{ title, url, type, description }]
+ * with type "docs" or "blog"; without it the palette searches what the page
+ * itself links to.
+ *
+ * Hooks:
+ *   commandPalette.actions (filter)   actions offered, { id, title, hint, keywords, run }
+ *   commandPalette.select (item)      after an item has been chosen
+ */
+
+(function() {
+  'use strict';
+
+  const { components, config, hooks, motion } = window.RustPress;
+
+  const RECENT_KEY = 'rustpress-palette-recent';
+  const INDEX_KEY = 'rustpress-palette-index';
+  const MAX_RECENT = 5;
+  const MAX_PER_GROUP = 8;
+  const INSTALL_COMMAND = 'cargo install rustpress';
+
+  let indexPromise = null;
+  let openPalette = null;
+  let closePalette = null;
+
+  function t(key, params) {
+    const { i18n } = window.RustPress;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Fuzzy matching: every query character in order, favouring runs and word starts
+   */
+  function fuzzyMatch(query, text) {
+    const haystack = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+
+    for (const char of query) {
+      if (char === ' ') continue;
+
+      const found = haystack.indexOf(char, position);
+      if (found === -1) return null;
+
+      score += 1;
+      if (found === previous + 1) score += 3;
+      if (found === 0 || /[\s\-_/.]/.test(haystack[found - 1])) score += 2;
+
+      indices.push(found);
+      previous = found;
+      position = found + 1;
+    }
+
+    // Shorter titles and earlier matches rank higher
+    score -= (indices[0] || 0) * 0.1 + haystack.length * 0.01;
+
+    return { score, indices };
+  }
+
+  function matchItem(query, item) {
+    const title = fuzzyMatch(query, item.title);
+    if (title) return { score: title.score + 1, indices: title.indices };
+
+    // Keywords and descriptions match by word prefix only, ranked below titles
+    const words = [item.keywords, item.description].filter(Boolean).join(' ').toLowerCase().split(/\s+/);
+    const terms = query.split(/\s+/).filter(Boolean);
+    const matched = terms.length && terms.every(term => words.some(word => word.startsWith(term)));
+    return matched ? { score: terms.join('').length / 2, indices: [] } : null;
+  }
+
+  /**
+   * Sources
+   */
+  function normalizeUrl(href) {
+    const url = new URL(href, location.href);
+    return url.origin === location.origin ? url.pathname + url.search + url.hash : url.href;
+  }
+
+  function getPages() {
+    const pages = new Map();
+
+    document.querySelectorAll('.main-nav a[href], .mobile-nav a[href], .footer-links a[href]').forEach(link => {
+      const href = link.getAttribute('href');
+      const title = link.textContent.trim().replace(/\s+/g, ' ');
+      if (!title || href.startsWith('#') || link.hasAttribute('data-consent-open')) return;
+
+      const url = normalizeUrl(href);
+      if (!pages.has(url)) {
+        pages.set(url, { id: `page:${url}`, group: 'pages', title, url });
+      }
+    });
+
+    return Array.from(pages.values());
+  }
+
+  /**
+   * Headings of the current page, with the path in the url so a recent
+   * section still leads back here when chosen from another page
+   */
+  function getSections() {
+    const main = document.getElementById('main-content') || document.body;
+    const path = location.pathname + location.search;
+
+    return Array.from(main.querySelectorAll('h2[id], h3[id], section[id]'))
+      .map(el => {
+        const heading = el.matches('section') ? el.querySelector('h1, h2') : el;
+        const title = heading ? heading.textContent.trim().replace(/\s+/g, ' ') : '';
+        const url = `${path}#${el.id}`;
+        return title ? { id: `section:${url}`, group: 'sections', title, url } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Docs and blog posts from settings.search.index, once per session
+   */
+  function loadIndex() {
+    if (indexPromise) return indexPromise;
+
+    const endpoint = config.get('search.index', '/api/search/index');
+
+    indexPromise = (async () => {
+      try {
+        const cached = JSON.parse(sessionStorage.getItem(INDEX_KEY));
+        if (cached && cached.endpoint === endpoint) return cached.items;
+      } catch {
+        // Storage unavailable
+      }
+
+      if (!endpoint) return [];
+
+      const response = await fetch(endpoint, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) throw new Error(`Search index request failed: ${response.status}`);
+
+      const data = await response.json();
+      const items = (Array.isArray(data) ? data : data.items || [])
+        .filter(entry => entry && entry.title && entry.url)
+        .map(entry => ({
+          id: `index:${entry.url}`,
+          group: ['blog', 'post', 'posts'].includes(entry.type) ? 'blog' : 'docs',
+          title: String(entry.title),
+          url: String(entry.url),
+          description: entry.description ? String(entry.description) : ''
+        }));
+
+      try {
+        sessionStorage.setItem(INDEX_KEY, JSON.stringify({ endpoint, items }));
+      } catch {
+        // Storage unavailable; fetched again next page
+      }
+
+      return items;
+    })().catch(error => {
+      console.warn('Command palette index unavailable:', error);
+      indexPromise = null;
+      return [];
+    });
+
+    return indexPromise;
+  }
+
+  function getActions(announce) {
+    const { colorScheme, consent } = window.RustPress;
+    const actions = [];
+
+    if (colorScheme && config.isEnabled('darkMode')) {
+      actions.push({
+        id: 'toggle-dark-mode',
+        title: t('palette.actions.toggleTheme'),
+        keywords: 'theme light dark color scheme',
+        run: () => colorScheme.setMode(colorScheme.getTheme() === 'dark' ? 'light' : 'dark')
+      });
+    }
+
+    if (config.isEnabled('animations')) {
+      actions.push({
+        id: 'toggle-motion',
+        title: t('palette.actions.toggleMotion'),
+        keywords: 'reduce motion animations accessibility',
+        run: () => motion.toggle()
+      });
+    }
+
+    actions.push({
+      id: 'go-pricing',
+      title: t('palette.actions.pricing'),
+      keywords: 'plans price cost',
+      url: '/pricing'
+    });
+
+    if (navigator.clipboard) {
+      actions.push({
+        id: 'copy-install',
+        title: t('palette.actions.copyInstall'),
+        hint: INSTALL_COMMAND,
+        keywords: 'cargo install download',
+        run: () => navigator.clipboard.writeText(INSTALL_COMMAND)
+          .then(() => announce(t('palette.copied')))
+          .catch(() => announce(t('palette.copyFailed')))
+      });
+    }
+
+    if (consent) {
+      actions.push({
+        id: 'cookie-settings',
+        title: t('palette.actions.cookieSettings'),
+        keywords: 'privacy consent tracking',
+        run: () => consent.open()
+      });
+    }
+
+    return hooks.applyFilters('commandPalette.actions', actions)
+      .map(action => ({ ...action, group: 'actions' }));
+  }
+
+  /**
+   * Recently chosen items, newest first
+   */
+  function readRecent() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(RECENT_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function addRecent(item) {
+    const entry = { id: item.id, title: item.title, url: item.url || null };
+    const recent = [entry, ...readRecent().filter(other => other.id !== item.id)].slice(0, MAX_RECENT);
+
+    try {
+      localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+    } catch {
+      // Storage unavailable
+    }
+  }
+
+  /**
+   * Navigation
+   */
+  function go(url) {
+    const { transitions, scroll } = window.RustPress;
+    const target = new URL(url, location.href);
+
+    // Sections of this page scroll into view
+    const isThisPage = target.origin === location.origin
+      && target.pathname === location.pathname
+      && target.search === location.search;
+    if (isThisPage && target.hash) {
+      const element = scroll ? scroll.getHashTarget(target.hash) : null;
+      if (element) {
+        if (location.hash !== target.hash) history.pushState(null, '', target.hash);
+        scroll.toTarget(element, motion.isReduced() ? 'auto' : 'smooth');
+        return;
+      }
+    }
+
+    if (transitions && transitions.isEnabled() && target.origin === location.origin) {
+      transitions.navigate(target.href);
+    } else {
+      location.assign(target.href);
+    }
+  }
+
+  /**
+   * Dialog
+   */
+  function mountPalette(dialog) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const input = dialog.querySelector('[data-command-palette-input]');
+    const results = dialog.querySelector('[data-command-palette-results]');
+    const empty = dialog.querySelector('[data-command-palette-empty]');
+    const status = document.querySelector('[data-command-palette-status]');
+
+    let items = [];
+    let options = [];
+    let activeIndex = -1;
+    let returnFocus = null;
+
+    const announce = (message) => {
+      if (status) status.textContent = message;
+    };
+
+    const collect = (indexItems) => {
+      const actions = getActions(announce);
+      const known = new Map();
+      [...actions, ...getPages(), ...getSections(), ...indexItems].forEach(item => {
+        if (!known.has(item.id)) known.set(item.id, item);
+      });
+
+      items = Array.from(known.values());
+    };
+
+    const getRecentItems = () => readRecent()
+      .map(entry => {
+        const current = items.find(item => item.id === entry.id);
+        if (current) return { ...current, group: 'recent' };
+        // Actions must still exist to be offered again
+        return entry.url ? { ...entry, group: 'recent' } : null;
+      })
+      .filter(Boolean);
+
+    const search = (query) => {
+      const trimmed = query.trim().toLowerCase();
+
+      if (!trimmed) {
+        const recent = getRecentItems();
+        const isRecent = (item) => recent.some(other => other.id === item.id);
+
+        return [
+          ...recent,
+          ...items.filter(item => item.group === 'actions' && !isRecent(item)),
+          ...items.filter(item => item.group === 'pages' && !isRecent(item)).slice(0, MAX_PER_GROUP)
+        ].map(item => ({ item, indices: [] }));
+      }
+
+      const matches = items
+        .map(item => ({ item, match: matchItem(trimmed, item) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score);
+
+      // Groups follow their best match, so the top result is always first
+      const groups = [...new Set(matches.map(({ item }) => item.group))];
+
+      return groups.flatMap(group => matches
+        .filter(({ item }) => item.group === group)
+        .slice(0, MAX_PER_GROUP)
+        .map(({ item, match }) => ({ item, indices: match.indices })));
+    };
+
+    const highlight = (text, indices) => {
+      const fragment = document.createDocumentFragment();
+      const marked = new Set(indices);
+      let run = '';
+      let inMark = false;
+
+      const flush = () => {
+        if (!run) return;
+        if (inMark) {
+          const mark = document.createElement('mark');
+          mark.textContent = run;
+          fragment.appendChild(mark);
+        } else {
+          fragment.appendChild(document.createTextNode(run));
+        }
+        run = '';
+      };
+
+      Array.from(text).forEach((char, i) => {
+        if (marked.has(i) !== inMark) {
+          flush();
+          inMark = marked.has(i);
+        }
+        run += char;
+      });
+      flush();
+
+      return fragment;
+    };
+
+    const setActive = (index) => {
+      if (!options.length) {
+        activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+        return;
+      }
+
+      activeIndex = (index + options.length) % options.length;
+      options.forEach((option, i) => option.el.setAttribute('aria-selected', String(i === activeIndex)));
+
+      const active = options[activeIndex].el;
+      input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView({ block: 'nearest' });
+    };
+
+    const render = () => {
+      const found = search(input.value);
+      const fragment = document.createDocumentFragment();
+      let currentGroup = null;
+      let groupEl = null;
+
+      options = [];
+      found.forEach(({ item, indices }, i) => {
+        if (item.group !== currentGroup) {
+          currentGroup = item.group;
+          groupEl = document.createElement('div');
+          groupEl.setAttribute('role', 'group');
+
+          const label = document.createElement('div');
+          label.className = 'command-palette__group-label';
+          label.id = `command-palette-group-${currentGroup}`;
+          label.textContent = t(`palette.groups.${currentGroup}`);
+          groupEl.setAttribute('aria-labelledby', label.id);
+          groupEl.appendChild(label);
+          fragment.appendChild(groupEl);
+        }
+
+        const option = document.createElement('div');
+        option.className = 'command-palette__option';
+        option.id = `command-palette-option-${i}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const title = document.createElement('span');
+        title.appendChild(highlight(item.title, indices));
+        option.appendChild(title);
+
+        const hint = item.hint || (item.group === 'actions' ? '' : item.url);
+        if (hint) {
+          const hintEl = document.createElement('span');
+          hintEl.className = 'command-palette__hint';
+          hintEl.textContent = hint;
+          option.appendChild(hintEl);
+        }
+
+        groupEl.appendChild(option);
+        options.push({ el: option, item });
+      });
+
+      results.replaceChildren(fragment);
+      if (empty) empty.hidden = options.length > 0;
+      announce(input.value.trim() ? t('palette.results', { count: options.length }) : '');
+      setActive(0);
+    };
+
+    const choose = (item) => {
+      if (!item) return;
+
+      addRecent(item);
+      // Same-page and in-place actions hand focus back; navigation moves it on
+      close(Boolean(item.run) || (item.url || '').startsWith('#') ? returnFocus : null);
+
+      if (item.run) {
+        item.run();
+      } else if (item.url) {
+        go(item.url);
+      }
+
+      hooks.doAction('commandPalette.select', item);
+    };
+
+    const open = (query = '') => {
+      if (!dialog.open) {
+        returnFocus = document.activeElement;
+        if (typeof dialog.showModal === 'function') {
+          dialog.showModal();
+        } else {
+          dialog.setAttribute('open', '');
+        }
+      }
+
+      input.placeholder = t('palette.placeholder');
+      if (empty) empty.textContent = t('palette.empty');
+
+      collect([]);
+      input.value = query;
+      render();
+      input.focus();
+
+      loadIndex().then(indexItems => {
+        if (!dialog.open || !indexItems.length) return;
+        const activeId = options[activeIndex]?.item.id;
+        collect(indexItems);
+        render();
+        const keep = options.findIndex(option => option.item.id === activeId);
+        if (keep > 0) setActive(keep);
+      });
+    };
+
+    const close = (focusTarget = returnFocus) => {
+      if (dialog.open) {
+        if (typeof dialog.close === 'function') {
+          dialog.close();
+        } else {
+          dialog.removeAttribute('open');
+        }
+      }
+
+      if (focusTarget && focusTarget.isConnected && typeof focusTarget.focus === 'function') {
+        focusTarget.focus();
+      }
+      returnFocus = null;
+    };
+
+    input.addEventListener('input', render, { signal });
+
+    input.addEventListener('keydown', (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          setActive(activeIndex + 1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          setActive(activeIndex - 1);
+          break;
+        case 'Enter':
+          e.preventDefault();
+          choose(options[activeIndex]?.item);
+          break;
+      }
+    }, { signal });
+
+    results.addEventListener('pointermove', (e) => {
+      const option = e.target.closest('[role="option"]');
+      const index = options.findIndex(entry => entry.el === option);
+      if (index !== -1 && index !== activeIndex) setActive(index);
+    }, { signal });
+
+    results.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      const entry = options.find(other => other.el === option);
+      if (entry) choose(entry.item);
+    }, { signal });
+
+    // Escape (the dialog's cancel) and clicks on the backdrop
+    dialog.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      close();
+    }, { signal });
+
+    dialog.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !(typeof dialog.showModal === 'function')) close();
+    }, { signal });
+
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) close();
+    }, { signal });
+
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (dialog.open) {
+          close();
+        } else {
+          open();
+        }
+      }
+    }, { signal });
+
+    // Header button, docs search box and any other opener
+    document.addEventListener('click', (e) => {
+      const trigger = e.target.closest('[data-command-palette-open]');
+      if (!trigger) return;
+
+      e.preventDefault();
+      open(trigger.matches('input') ? trigger.value : trigger.dataset.commandPaletteOpen || '');
+    }, { signal });
+
+    document.addEventListener('input', (e) => {
+      const trigger = e.target.closest && e.target.closest('input[data-command-palette-open]');
+      if (!trigger) return;
+
+      const query = trigger.value;
+      trigger.value = '';
+      open(query);
+    }, { signal });
+
+    openPalette = open;
+    closePalette = close;
+
+    return () => {
+      controller.abort();
+      close(null);
+      if (openPalette === open) {
+        openPalette = null;
+        closePalette = null;
+      }
+    };
+  }
+
+  components.register('command-palette', { selector: '[data-command-palette]', mount: mountPalette });
+
+  // Expose for other modules
+  window.RustPress.commandPalette = {
+    open: (query) => openPalette?.(query),
+    close: () => closePalette?.(),
+    fuzzyMatch
+  };
+
+})();
@@ -0,0 +1,234 @@
+/**
+ * RustPress Enterprise Theme - Config
+ * Theme settings from theme.json, as rendered by base.html into
+ * <script type="application/json" id="theme-settings">.
+ *
+ * Usage:
+ *   RustPress.config.isEnabled('particles')   // customizable.features.particles
+ *   RustPress.config.color('primary', 0.25)   // 'rgba(206, 66, 43, 0.25)'
+ *   RustPress.config.get('fonts.heading')
+ *   RustPress.config.update({ colors: { primary: '#2B6CCE' } })
+ *
+ * update() dispatches a `themesettingschange` event on document with
+ * detail { changes, settings } (used by the customizer live preview).
+ *
+ * Elements marked data-feature="<name>" are hidden while that feature is off.
+ */
+
+(function() {
+  'use strict';
+
+  // Mirrors theme.json "customizable", used for anything the page doesn't provide
+  const DEFAULTS = {
+    version: '2.0.0',
+    colors: {
+      primary: '#CE422B',
+      secondary: '#B87333',
+      accent: '#E97451',
+      background: '#0D0D0D',
+      surface: '#1A1A1A',
+      text: '#FFFFFF',
+      'text-muted': '#A0A0A0'
+    },
+    fonts: {
+      heading: 'Space Grotesk',
+      body: 'Inter',
+      code: 'JetBrains Mono'
+    },
+    features: {
+      particles: true,
+      darkMode: true,
+      animations: true,
+      contactForm: true,
+      donations: true,
+      blog: true,
+      instantNavigation: false,
+      offline: true
+    },
+    // ISO 4217 code for prices (assets/js/format.js, checkout)
+    currency: 'USD',
+    // Extra origins allowed to drive the customizer live preview
+    previewOrigins: [],
+    analytics: {
+      endpoint: '/api/analytics/collect',
+      downloadEndpoint: '/api/downloads/track',
+      requireConsent: true
+    },
+    // Where assets/js/i18n.js finds <locale>.json translation files, and which exist
+    i18n: {
+      path: '/themes/rustpress-enterprise/assets/i18n',
+      locales: ['de', 'ja']
+    },
+    // Bump the version to ask every visitor again, e.g. after adding a category
+    consent: {
+      version: 1,
+      expiresDays: 180
+    },
+    // Rendered from templates/service-worker.js (assets/js/pwa.js)
+    pwa: {
+      serviceWorker: '/service-worker.js'
+    },
+    // Docs and blog entries searched by assets/js/command-palette.js, and the
+    // live results endpoint for templates/search.html (assets/js/search.js)
+    search: {
+      index: '/api/search/index',
+      endpoint: '/api/search'
+    }
+  };
+
+  // Brand colors that map onto design tokens in variables.css
+  const COLOR_PROPERTIES = {
+    primary: '--color-rust',
+    secondary: '--color-copper',
+    accent: '--color-accent'
+  };
+
+  // Fonts that map onto design tokens, with the stacks from variables.css
+  const FONT_PROPERTIES = {
+    heading: ['--font-heading', '-apple-system, BlinkMacSystemFont, sans-serif'],
+    body: ['--font-body', '-apple-system, BlinkMacSystemFont, sans-serif'],
+    code: ['--font-code', "'Fira Code', monospace"]
+  };
+
+  let settings = merge(DEFAULTS, readSettings());
+
+  // Brand colors as first painted, by <style id="theme-colors"> in base.html or the stylesheet
+  const renderedColors = { ...settings.colors };
+
+  applySettings();
+
+  /**
+   * Parse the settings script, tolerating a missing or malformed tag
+   */
+  function readSettings() {
+    const script = document.getElementById('theme-settings');
+    if (!script) return {};
+
+    try {
+      return JSON.parse(script.textContent) || {};
+    } catch (error) {
+      console.error('Invalid theme settings JSON:', error);
+      return {};
+    }
+  }
+
+  function merge(base, overrides) {
+    const result = { ...base };
+
+    Object.keys(overrides).forEach(key => {
+      const value = overrides[key];
+      if (value && typeof value === 'object' && !Array.isArray(value) && typeof base[key] === 'object') {
+        result[key] = merge(base[key], value);
+      } else if (value !== null && value !== undefined) {
+        result[key] = value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Read a dotted path, e.g. get('colors.primary')
+   */
+  function get(path, fallback) {
+    const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), settings);
+    return value === undefined ? fallback : value;
+  }
+
+  function isEnabled(feature) {
+    return get(`features.${feature}`, true) !== false;
+  }
+
+  /**
+   * Brand color as an rgba() string when an alpha is given
+   */
+  function color(name, alpha) {
+    const value = get(`colors.${name}`, '');
+    if (alpha === undefined) return value;
+
+    const rgb = hexToRgb(value);
+    return rgb ? `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${alpha})` : value;
+  }
+
+  function hexToRgb(hex) {
+    let value = String(hex).trim().replace(/^#/, '');
+    if (value.length === 3) {
+      value = value.split('').map(char => char + char).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(value)) return null;
+
+    const number = parseInt(value, 16);
+    return { r: (number >> 16) & 255, g: (number >> 8) & 255, b: number & 255 };
+  }
+
+  /**
+   * Reflect settings on <html> so CSS can follow them too.
+   * Values equal to what the page rendered leave the stylesheets in charge.
+   */
+  function applySettings() {
+    const root = document.documentElement;
+
+    root.toggleAttribute('data-no-animations', !isEnabled('animations'));
+
+    Object.keys(COLOR_PROPERTIES).forEach(name => {
+      const isRendered = color(name) === renderedColors[name];
+      setProperty(COLOR_PROPERTIES[name], isRendered ? null : color(name));
+      if (name === 'primary') {
+        setProperty('--color-rust-glow', isRendered ? null : color(name, 0.5));
+      }
+    });
+
+    Object.keys(FONT_PROPERTIES).forEach(name => {
+      const [property, fallback] = FONT_PROPERTIES[name];
+      const family = get(`fonts.${name}`);
+      setProperty(property, family === DEFAULTS.fonts[name] ? null : `'${family}', ${fallback}`);
+    });
+  }
+
+  function setProperty(property, value) {
+    if (value) {
+      document.documentElement.style.setProperty(property, value);
+    } else {
+      document.documentElement.style.removeProperty(property);
+    }
+  }
+
+  /**
+   * Merge new values into the settings and re-apply them
+   */
+  function update(changes) {
+    settings = merge(settings, changes);
+    applySettings();
+
+    document.dispatchEvent(new CustomEvent('themesettingschange', {
+      detail: { changes, settings }
+    }));
+  }
+
+  /**
+   * Feature-gated markup
+   */
+  window.RustPress.components.register('feature-gate', {
+    selector: '[data-feature]',
+    mount(el) {
+      if (isEnabled(el.dataset.feature)) return null;
+
+      el.hidden = true;
+      el.classList.add('hidden');
+      return () => {
+        el.hidden = false;
+        el.classList.remove('hidden');
+      };
+    }
+  });
+
+  // Expose for other modules
+  window.RustPress.config = {
+    get,
+    isEnabled,
+    color,
+    update,
+    getSettings: () => settings
+  };
+
+})();
@@ -0,0 +1,307 @@
+/**
+ * RustPress Enterprise Theme - Consent
+ * Cookie and tracking consent: banner, preferences dialog and gating of
+ * scripts and embeds by category (necessary, analytics, marketing).
+ *
+ * Usage:
+ *   RustPress.consent.has('analytics')
+ *   RustPress.consent.onChange((choices, previous) => { ... })   // returns an unsubscribe function
+ *   RustPress.consent.open()                                      // show the preferences dialog
+ *
+ * Markup gated until its category is allowed:
+ *   <script type="text/plain" data-consent="analytics" data-src="https://stats.example.com/s.js"></script>
+ *   <iframe data-consent="marketing" data-src="https://www.youtube-nocookie.com/embed/..." loading="lazy"></iframe>
+ *   <div data-consent-placeholder="marketing">... <button data-consent-allow="marketing">Load video</button></div>
+ *
+ * Gated embeds are skipped by the lazy media loader in main.js; use the
+ * native loading="lazy" to defer them.
+ *
+ * The choice is stored with settings.consent.version and expires after
+ * settings.consent.expiresDays; either change asks the visitor again.
+ */
+
+(function() {
+  'use strict';
+
+  const { components, config, hooks } = window.RustPress;
+
+  const STORAGE_KEY = 'rustpress-consent';
+  const CATEGORIES = ['necessary', 'analytics', 'marketing'];
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const version = config.get('consent.version', 1);
+  const expiresDays = config.get('consent.expiresDays', 180);
+  const listeners = new Set();
+
+  let choices = readChoices();
+  let openPreferences = null;
+
+  /**
+   * Stored choices, or null when missing, outdated or expired
+   */
+  function readChoices() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!stored || stored.version !== version || !(Date.now() < stored.expires)) return null;
+      return normalize(stored.choices);
+    } catch {
+      return null;
+    }
+  }
+
+  function normalize(values = {}) {
+    const result = {};
+    CATEGORIES.forEach(category => {
+      result[category] = category === 'necessary' || values[category] === true;
+    });
+    return result;
+  }
+
+  function get() {
+    return choices ? { ...choices } : null;
+  }
+
+  function has(category) {
+    return category === 'necessary' || Boolean(choices && choices[category]);
+  }
+
+  /**
+   * Record a choice; categories left out are refused
+   */
+  function set(values) {
+    const previous = get();
+    choices = normalize(values);
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version,
+        choices,
+        timestamp: Date.now(),
+        expires: Date.now() + expiresDays * DAY
+      }));
+    } catch {
+      // Storage unavailable; the choice holds for this page only
+    }
+
+    notify(previous);
+  }
+
+  function acceptAll() {
+    set({ analytics: true, marketing: true });
+  }
+
+  function rejectAll() {
+    set({});
+  }
+
+  /**
+   * Forget the choice so the banner asks again
+   */
+  function reset() {
+    const previous = get();
+    choices = null;
+
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Storage unavailable
+    }
+
+    notify(previous);
+  }
+
+  function onChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  }
+
+  function notify(previous) {
+    const current = get();
+
+    listeners.forEach(callback => {
+      try {
+        callback(current, previous);
+      } catch (error) {
+        console.error('Consent listener failed:', error);
+      }
+    });
+
+    hooks.doAction('consent.change', current, previous);
+  }
+
+  /**
+   * Gated scripts and embeds
+   */
+  function activate(el) {
+    if (el.tagName === 'SCRIPT') {
+      // Scripts only run when inserted, so swap in a live copy
+      const script = document.createElement('script');
+      Array.from(el.attributes).forEach(({ name, value }) => {
+        if (!['type', 'data-consent', 'data-src', 'data-type'].includes(name)) {
+          script.setAttribute(name, value);
+        }
+      });
+      if (el.dataset.type) script.type = el.dataset.type;
+      if (el.dataset.src) {
+        script.src = el.dataset.src;
+      } else {
+        script.textContent = el.textContent;
+      }
+      script.dataset.consentLoaded = el.dataset.consent;
+      el.replaceWith(script);
+      return;
+    }
+
+    if (el.dataset.src && el.getAttribute('src') !== el.dataset.src) {
+      el.setAttribute('src', el.dataset.src);
+    }
+  }
+
+  function deactivate(el) {
+    // Embeds can be unloaded; scripts that already ran need a reload
+    if (el.tagName !== 'SCRIPT' && el.dataset.src && el.hasAttribute('src')) {
+      el.removeAttribute('src');
+    }
+  }
+
+  function mountGated(el) {
+    const category = el.dataset.consent;
+    const update = () => (has(category) ? activate(el) : deactivate(el));
+
+    update();
+    return onChange(update);
+  }
+
+  function mountPlaceholder(el) {
+    const controller = new AbortController();
+    const category = el.dataset.consentPlaceholder;
+    const update = () => {
+      el.hidden = has(category);
+    };
+
+    // "Load video" style buttons allow just this category
+    el.addEventListener('click', (e) => {
+      const allow = e.target.closest('[data-consent-allow]');
+      if (allow) {
+        set({ ...get(), [allow.dataset.consentAllow]: true });
+      }
+    }, { signal: controller.signal });
+
+    update();
+    const unsubscribe = onChange(update);
+
+    return () => {
+      controller.abort();
+      unsubscribe();
+    };
+  }
+
+  /**
+   * Banner and preferences dialog
+   */
+  function mountManager(root) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const banner = root.querySelector('[data-consent-banner]');
+    const dialog = root.querySelector('[data-consent-dialog]');
+    const form = dialog?.querySelector('form');
+
+    const updateBanner = () => {
+      if (banner) banner.hidden = choices !== null;
+    };
+
+    const openDialog = () => {
+      if (!dialog) return;
+
+      CATEGORIES.forEach(category => {
+        const input = form?.elements[category];
+        if (input) input.checked = has(category);
+      });
+
+      if (typeof dialog.showModal === 'function') {
+        if (!dialog.open) dialog.showModal();
+      } else {
+        dialog.setAttribute('open', '');
+      }
+    };
+
+    const closeDialog = () => {
+      if (!dialog) return;
+
+      if (typeof dialog.close === 'function') {
+        dialog.close();
+      } else {
+        dialog.removeAttribute('open');
+      }
+    };
+
+    root.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-consent-action]');
+      if (!button) return;
+
+      switch (button.dataset.consentAction) {
+        case 'accept-all':
+          acceptAll();
+          closeDialog();
+          break;
+        case 'reject-all':
+          rejectAll();
+          closeDialog();
+          break;
+        case 'customize':
+          openDialog();
+          break;
+        case 'close':
+          closeDialog();
+          break;
+      }
+    }, { signal });
+
+    form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const values = {};
+      CATEGORIES.forEach(category => {
+        values[category] = Boolean(form.elements[category]?.checked);
+      });
+      set(values);
+      closeDialog();
+    }, { signal });
+
+    // "Cookie settings" links anywhere on the page
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('[data-consent-open]')) {
+        e.preventDefault();
+        openDialog();
+      }
+    }, { signal });
+
+    const unsubscribe = onChange(updateBanner);
+    updateBanner();
+    openPreferences = openDialog;
+
+    return () => {
+      controller.abort();
+      unsubscribe();
+      closeDialog();
+      if (openPreferences === openDialog) openPreferences = null;
+    };
+  }
+
+  components.register('consent-manager', { selector: '[data-consent-manager]', mount: mountManager });
+  components.register('consent-gate', { selector: '[data-consent]', mount: mountGated });
+  components.register('consent-placeholder', { selector: '[data-consent-placeholder]', mount: mountPlaceholder });
+
+  // Expose for other modules
+  window.RustPress.consent = {
+    CATEGORIES,
+    get,
+    has,
+    set,
+    acceptAll,
+    rejectAll,
+    reset,
+    onChange,
+    open: () => openPreferences?.()
+  };
+
+})();
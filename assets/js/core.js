@@ -0,0 +1,174 @@
+/**
+ * RustPress Enterprise Theme - Core
+ * Component registry with mount/unmount lifecycle. Components are mounted on
+ * matching elements at DOMContentLoaded and whenever matching nodes are added
+ * later (AJAX posts, widgets, modals); they are unmounted when removed.
+ *
+ * Usage:
+ *   RustPress.components.register('counter', {
+ *     selector: '[data-counter]',
+ *     mount(el) { const c = new Counter(el); return () => c.reset(); },
+ *     unmount(el, instance) {}   // optional, defaults to calling the cleanup
+ *   });
+ *
+ *   RustPress.init(fragment);     // hydrate manually
+ *   RustPress.destroy(fragment);  // tear down manually
+ */
+
+(function() {
+  'use strict';
+
+  const definitions = new Map();
+  const instances = new WeakMap();
+  const mountedElements = new Set();
+  let isReady = false;
+
+  /**
+   * Register a component. Besides its selector, a component always matches
+   * elements that opt in with data-component="<name>" (space separated).
+   */
+  function register(name, definition) {
+    if (definitions.has(name)) {
+      console.warn(`Component "${name}" is already registered`);
+      return;
+    }
+
+    if (typeof definition.mount !== 'function') {
+      throw new TypeError(`Component "${name}" needs a mount() hook`);
+    }
+
+    const component = {
+      name,
+      selector: definition.selector || null,
+      mount: definition.mount,
+      unmount: definition.unmount || null,
+      query: [definition.selector, `[data-component~="${name}"]`].filter(Boolean).join(', ')
+    };
+
+    definitions.set(name, component);
+
+    // Late registrations mount straight away
+    if (isReady) {
+      mountComponent(component, document);
+    }
+  }
+
+  function collect(root, query) {
+    const elements = [];
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches(query)) {
+      elements.push(root);
+    }
+    if (root.querySelectorAll) {
+      elements.push(...root.querySelectorAll(query));
+    }
+    return elements;
+  }
+
+  function mountComponent(component, root) {
+    collect(root, component.query).forEach(el => {
+      let mounted = instances.get(el);
+      if (mounted && mounted.has(component.name)) return;
+
+      try {
+        const instance = component.mount(el);
+        if (!mounted) {
+          mounted = new Map();
+          instances.set(el, mounted);
+        }
+        mounted.set(component.name, instance);
+        mountedElements.add(el);
+      } catch (error) {
+        console.error(`Failed to mount component "${component.name}":`, error);
+      }
+    });
+  }
+
+  function unmountComponent(component, el, instance) {
+    try {
+      if (component.unmount) {
+        component.unmount(el, instance);
+      } else if (typeof instance === 'function') {
+        instance();
+      } else if (instance && typeof instance.destroy === 'function') {
+        instance.destroy();
+      }
+    } catch (error) {
+      console.error(`Failed to unmount component "${component.name}":`, error);
+    }
+  }
+
+  /**
+   * Mount every registered component inside root (root included)
+   */
+  function init(root = document) {
+    definitions.forEach(component => mountComponent(component, root));
+  }
+
+  /**
+   * Unmount every component mounted inside root (root included)
+   */
+  function destroy(root = document) {
+    mountedElements.forEach(el => {
+      if (el !== root && !root.contains(el)) return;
+
+      instances.get(el).forEach((instance, name) => {
+        unmountComponent(definitions.get(name), el, instance);
+      });
+      instances.delete(el);
+      mountedElements.delete(el);
+    });
+  }
+
+  /**
+   * Instance returned by a component's mount() for an element
+   */
+  function get(el, name) {
+    return instances.get(el)?.get(name);
+  }
+
+  function observeMutations() {
+    if (!('MutationObserver' in window)) return;
+
+    const observer = new MutationObserver((mutations) => {
+      const added = new Set();
+      const removed = new Set();
+
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) added.add(node);
+        });
+        mutation.removedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) removed.add(node);
+        });
+      });
+
+      // Nodes that were only moved are still connected and keep their components
+      removed.forEach(node => {
+        if (!node.isConnected) destroy(node);
+      });
+      added.forEach(node => {
+        if (node.isConnected) init(node);
+      });
+    });
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  // Registered first among the theme scripts, so this runs before any other ready handler
+  document.addEventListener('DOMContentLoaded', () => {
+    isReady = true;
+    init(document);
+    observeMutations();
+  });
+
+  // Expose the public API
+  window.RustPress = window.RustPress || {};
+  window.RustPress.components = {
+    register,
+    get,
+    has: (name) => definitions.has(name)
+  };
+  window.RustPress.init = init;
+  window.RustPress.destroy = destroy;
+
+})();
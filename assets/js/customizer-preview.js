@@ -0,0 +1,191 @@
+/**
+ * RustPress Enterprise Theme - Customizer Preview
+ * Applies live setting changes sent by the RustPress customizer while the
+ * site is shown inside its preview frame. assets/js/loader.js only loads it
+ * there.
+ *
+ * Protocol (window.postMessage, JSON-serializable objects):
+ *   preview  -> admin  { type: 'rustpress:preview-ready', version }
+ *   admin    -> preview { type: 'rustpress:customize', id, changes }
+ *   preview  -> admin  { type: 'rustpress:preview-ack', id, status, applied, rejected }
+ *   admin    -> preview { type: 'rustpress:ping', id }  (answered with an ack)
+ *
+ * `changes` may contain colors, fonts, features (as in theme.json "customizable")
+ * and text, keyed by the data-customize attribute of the target elements:
+ *   { colors: { primary: '#2B6CCE' }, text: { 'hero.title': 'Hello' } }
+ *
+ * Only messages from this site's origin or settings.previewOrigins are accepted.
+ */
+
+(function() {
+  'use strict';
+
+  // Not framed: nothing to preview
+  if (window.parent === window) return;
+
+  const { config } = window.RustPress;
+
+  const MESSAGE_PREFIX = 'rustpress:';
+  // Same format as theme.json, so config.color() can derive translucent variants
+  const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+  const FONT_STYLESHEET = 'https://fonts.googleapis.com/css2?family=';
+  const loadedFonts = new Set(Object.values(config.get('fonts', {})));
+
+  const allowedOrigins = new Set([window.location.origin, ...config.get('previewOrigins', [])]);
+
+  window.addEventListener('message', onMessage);
+  // Loaded on demand by assets/js/loader.js, possibly after DOMContentLoaded
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', announceReady);
+  } else {
+    announceReady();
+  }
+
+  /**
+   * Tell the customizer the preview is listening
+   */
+  function announceReady() {
+    let referrerOrigin = null;
+    try {
+      referrerOrigin = document.referrer ? new URL(document.referrer).origin : null;
+    } catch {
+      // Malformed referrer; fall back to every allowed origin
+    }
+
+    const targets = allowedOrigins.has(referrerOrigin) ? [referrerOrigin] : allowedOrigins;
+    targets.forEach(origin => {
+      window.parent.postMessage({ type: `${MESSAGE_PREFIX}preview-ready`, version: config.get('version') }, origin);
+    });
+  }
+
+  function onMessage(e) {
+    if (e.source !== window.parent || !allowedOrigins.has(e.origin)) return;
+
+    const message = e.data;
+    if (!message || typeof message.type !== 'string' || !message.type.startsWith(MESSAGE_PREFIX)) return;
+
+    const reply = (detail) => {
+      e.source.postMessage({ type: `${MESSAGE_PREFIX}preview-ack`, id: message.id, ...detail }, e.origin);
+    };
+
+    switch (message.type) {
+      case `${MESSAGE_PREFIX}ping`:
+        reply({ status: 'applied', applied: [], rejected: [] });
+        break;
+
+      case `${MESSAGE_PREFIX}customize`:
+        reply(applyChanges(message.changes));
+        break;
+
+      default:
+        reply({ status: 'rejected', applied: [], rejected: [{ key: message.type, reason: 'unknown-message' }] });
+    }
+  }
+
+  /**
+   * Validate and apply a change set; returns the acknowledgement body
+   */
+  function applyChanges(changes) {
+    const applied = [];
+    const rejected = [];
+    const settings = {};
+
+    if (!changes || typeof changes !== 'object') {
+      return { status: 'rejected', applied, rejected: [{ key: 'changes', reason: 'invalid' }] };
+    }
+
+    Object.keys(changes).forEach(group => {
+      const values = changes[group];
+      if (!values || typeof values !== 'object') {
+        rejected.push({ key: group, reason: 'invalid' });
+        return;
+      }
+
+      Object.keys(values).forEach(name => {
+        const key = `${group}.${name}`;
+        const reason = validate(group, name, values[name]);
+
+        if (reason) {
+          rejected.push({ key, reason });
+          return;
+        }
+
+        if (group === 'text') {
+          applyText(name, values[name]);
+        } else {
+          settings[group] = settings[group] || {};
+          settings[group][name] = values[name];
+          if (group === 'fonts') loadFont(values[name]);
+        }
+        applied.push(key);
+      });
+    });
+
+    if (Object.keys(settings).length) {
+      config.update(settings);
+
+      // Components read feature flags when they mount, so start them over
+      if (settings.features) {
+        window.RustPress.destroy(document);
+        window.RustPress.init(document);
+      }
+    }
+
+    if (applied.length) {
+      document.querySelectorAll('[data-preview-status]').forEach(el => { el.hidden = false; });
+    }
+
+    return {
+      status: rejected.length ? (applied.length ? 'partial' : 'rejected') : 'applied',
+      applied,
+      rejected
+    };
+  }
+
+  /**
+   * Returns a rejection reason, or null when the value is acceptable
+   */
+  function validate(group, name, value) {
+    switch (group) {
+      case 'colors':
+        if (config.get(`colors.${name}`) === undefined) return 'unknown-key';
+        return typeof value === 'string' && HEX_COLOR.test(value) ? null : 'invalid-color';
+
+      case 'fonts':
+        if (config.get(`fonts.${name}`) === undefined) return 'unknown-key';
+        return typeof value === 'string' && /^[\w\s-]{1,64}$/.test(value) ? null : 'invalid-font';
+
+      case 'features':
+        if (config.get(`features.${name}`) === undefined) return 'unknown-key';
+        return typeof value === 'boolean' ? null : 'invalid-feature';
+
+      case 'text':
+        return typeof value === 'string' ? null : 'invalid-text';
+
+      default:
+        return 'unknown-group';
+    }
+  }
+
+  /**
+   * Copy is set as plain text; markup in the value is never interpreted
+   */
+  function applyText(key, value) {
+    document.querySelectorAll('[data-customize]').forEach(el => {
+      if (el.dataset.customize === key) {
+        el.textContent = value;
+      }
+    });
+  }
+
+  function loadFont(family) {
+    if (loadedFonts.has(family)) return;
+    loadedFonts.add(family);
+
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = `${FONT_STYLESHEET}${encodeURIComponent(family).replace(/%20/g, '+')}:wght@400;500;600;700&display=swap`;
+    document.head.appendChild(link);
+  }
+
+})();
@@ -0,0 +1,148 @@
+/**
+ * RustPress Enterprise Theme - Dashboard Gallery
+ * Slider for the dashboard preview screenshots (#gallery-slider).
+ * Autoplay follows RustPress.motion.
+ */
+
+(function() {
+  'use strict';
+
+  const { motion } = window.RustPress;
+
+  function mountGallerySlider(slider) {
+    const container = slider.closest('.gallery-container') || document;
+    const slides = slider.querySelectorAll('.gallery-slide');
+    const dots = container.querySelectorAll('.gallery-dot');
+    const prevBtn = container.querySelector('.gallery-nav--prev');
+    const nextBtn = container.querySelector('.gallery-nav--next');
+
+    if (slides.length === 0) return null;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    let currentSlide = 0;
+    let autoPlayInterval = null;
+
+    function showSlide(index) {
+      // Wrap around
+      if (index < 0) index = slides.length - 1;
+      if (index >= slides.length) index = 0;
+
+      currentSlide = index;
+
+      // Update slides
+      slides.forEach((slide, i) => {
+        slide.style.display = i === currentSlide ? 'block' : 'none';
+        slide.classList.toggle('active', i === currentSlide);
+      });
+
+      // Update dots
+      dots.forEach((dot, i) => {
+        dot.classList.toggle('active', i === currentSlide);
+      });
+    }
+
+    function nextSlide() {
+      showSlide(currentSlide + 1);
+    }
+
+    function prevSlide() {
+      showSlide(currentSlide - 1);
+    }
+
+    function startAutoPlay() {
+      stopAutoPlay();
+      if (motion.isReduced()) return;
+      autoPlayInterval = setInterval(nextSlide, 5000);
+    }
+
+    function stopAutoPlay() {
+      if (autoPlayInterval) {
+        clearInterval(autoPlayInterval);
+        autoPlayInterval = null;
+      }
+    }
+
+    // Event listeners
+    if (prevBtn) {
+      prevBtn.addEventListener('click', () => {
+        prevSlide();
+        startAutoPlay();
+      }, { signal });
+    }
+
+    if (nextBtn) {
+      nextBtn.addEventListener('click', () => {
+        nextSlide();
+        startAutoPlay();
+      }, { signal });
+    }
+
+    dots.forEach((dot, i) => {
+      dot.addEventListener('click', () => {
+        showSlide(i);
+        startAutoPlay();
+      }, { signal });
+    });
+
+    // Keyboard navigation
+    slider.closest('.gallery-container')?.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowLeft') {
+        prevSlide();
+        startAutoPlay();
+      } else if (e.key === 'ArrowRight') {
+        nextSlide();
+        startAutoPlay();
+      }
+    }, { signal });
+
+    // Touch/swipe support
+    let touchStartX = 0;
+    let touchEndX = 0;
+
+    slider.addEventListener('touchstart', (e) => {
+      touchStartX = e.changedTouches[0].screenX;
+    }, { passive: true, signal });
+
+    slider.addEventListener('touchend', (e) => {
+      touchEndX = e.changedTouches[0].screenX;
+      const diff = touchStartX - touchEndX;
+
+      if (Math.abs(diff) > 50) {
+        if (diff > 0) {
+          nextSlide();
+        } else {
+          prevSlide();
+        }
+        startAutoPlay();
+      }
+    }, { passive: true, signal });
+
+    // Pause on hover
+    slider.addEventListener('mouseenter', stopAutoPlay, { signal });
+    slider.addEventListener('mouseleave', startAutoPlay, { signal });
+
+    const unsubscribeMotion = motion.onChange((reduced) => {
+      if (reduced) {
+        stopAutoPlay();
+      } else if (!slider.matches(':hover')) {
+        startAutoPlay();
+      }
+    });
+
+    // Initialize
+    showSlide(0);
+    startAutoPlay();
+
+    return () => {
+      stopAutoPlay();
+      controller.abort();
+      unsubscribeMotion();
+    };
+  }
+
+  // Register component
+  window.RustPress.components.register('gallery-slider', { selector: '#gallery-slider', mount: mountGallerySlider });
+
+})();
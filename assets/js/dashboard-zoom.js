@@ -0,0 +1,299 @@
+/**
+ * RustPress Enterprise Theme - Dashboard Zoom
+ * Zoom for the dashboard screenshot in .hero-image. Scale mode zooms the
+ * whole image around the pointer; lens mode (data-zoom-mode="lens") shows a
+ * magnifier instead. Mouse hover, touch pinch/drag, keyboard (+/-/0, arrows)
+ * and Ctrl/Cmd+wheel drive the same zoom state, so plain wheel scrolling is
+ * never captured.
+ */
+
+(function() {
+  'use strict';
+
+  const { i18n } = window.RustPress;
+
+  function mountDashboardZoom(heroImage) {
+    const img = heroImage.querySelector('img');
+    if (!img) return null;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const lensMode = heroImage.dataset.zoomMode === 'lens';
+    const maxZoom = parseFloat(heroImage.dataset.zoomMax) || 3;
+    const minZoom = 1;
+    const hoverZoom = 2;
+    const step = 0.3;
+    const panStep = 5;
+
+    const state = { zoom: minZoom, x: 50, y: 50 };
+    const pointers = new Map();
+    let pinch = null;
+    let drag = null;
+    let lastTap = 0;
+    let lens = null;
+
+    if (lensMode) {
+      lens = document.createElement('div');
+      lens.className = 'hero-zoom-lens';
+      lens.setAttribute('aria-hidden', 'true');
+      heroImage.appendChild(lens);
+    }
+
+    if (!heroImage.hasAttribute('tabindex')) {
+      heroImage.setAttribute('tabindex', '0');
+    }
+    if (!heroImage.hasAttribute('aria-label')) {
+      heroImage.setAttribute('aria-label', i18n.t('zoom.label', { name: img.alt || i18n.t('zoom.defaultName') }));
+    }
+    heroImage.classList.add('zoom-ready');
+
+    function clamp(value, min, max) {
+      return Math.min(max, Math.max(min, value));
+    }
+
+    function pointerPosition(e) {
+      const rect = heroImage.getBoundingClientRect();
+      return {
+        x: clamp(((e.clientX - rect.left) / rect.width) * 100, 0, 100),
+        y: clamp(((e.clientY - rect.top) / rect.height) * 100, 0, 100)
+      };
+    }
+
+    function render() {
+      const zoomed = state.zoom > minZoom;
+      heroImage.classList.toggle('is-zoomed', zoomed);
+
+      if (!lensMode) {
+        img.style.transformOrigin = `${state.x}% ${state.y}%`;
+        img.style.transform = `scale(${state.zoom})`;
+        return;
+      }
+
+      lens.classList.toggle('active', zoomed);
+      if (!zoomed) return;
+
+      // Layout sizes are unaffected by the hero's own float/scale animation
+      const width = img.offsetWidth;
+      const height = img.offsetHeight;
+      const px = (state.x / 100) * width;
+      const py = (state.y / 100) * height;
+
+      lens.style.left = `${img.offsetLeft + px}px`;
+      lens.style.top = `${img.offsetTop + py}px`;
+      lens.style.backgroundImage = `url("${img.currentSrc || img.src}")`;
+      lens.style.backgroundSize = `${width * state.zoom}px ${height * state.zoom}px`;
+      lens.style.backgroundPosition = `${lens.offsetWidth / 2 - px * state.zoom}px ${lens.offsetHeight / 2 - py * state.zoom}px`;
+    }
+
+    function setZoom(zoom, position) {
+      state.zoom = clamp(zoom, minZoom, maxZoom);
+      if (position) {
+        state.x = position.x;
+        state.y = position.y;
+      }
+      render();
+    }
+
+    function resetZoom() {
+      state.x = 50;
+      state.y = 50;
+      setZoom(minZoom);
+    }
+
+    // Pan by moving the origin (scale mode) or the lens (lens mode)
+    function panBy(dx, dy) {
+      if (state.zoom <= minZoom) return;
+
+      if (lensMode) {
+        state.x = clamp(state.x + dx, 0, 100);
+        state.y = clamp(state.y + dy, 0, 100);
+      } else {
+        const factor = state.zoom - 1;
+        state.x = clamp(state.x - dx / factor, 0, 100);
+        state.y = clamp(state.y - dy / factor, 0, 100);
+      }
+      render();
+    }
+
+    function pinchDistance() {
+      const [a, b] = Array.from(pointers.values());
+      return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+    }
+
+    // Mouse: hover zooms and follows the cursor
+    heroImage.addEventListener('pointerenter', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      setZoom(Math.max(state.zoom, hoverZoom), pointerPosition(e));
+    }, { signal });
+
+    heroImage.addEventListener('pointerleave', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      resetZoom();
+    }, { signal });
+
+    // Touch and pen: pinch to zoom, drag to pan, double-tap to toggle
+    heroImage.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse') return;
+
+      pointers.set(e.pointerId, e);
+      heroImage.setPointerCapture?.(e.pointerId);
+
+      if (pointers.size === 2) {
+        const [a, b] = Array.from(pointers.values());
+        pinch = {
+          distance: pinchDistance(),
+          zoom: state.zoom,
+          origin: pointerPosition({
+            clientX: (a.clientX + b.clientX) / 2,
+            clientY: (a.clientY + b.clientY) / 2
+          })
+        };
+        drag = null;
+      } else if (pointers.size === 1) {
+        drag = { x: e.clientX, y: e.clientY, moved: false };
+        if (lensMode && state.zoom <= minZoom) {
+          setZoom(hoverZoom, pointerPosition(e));
+        }
+      }
+    }, { signal });
+
+    heroImage.addEventListener('pointermove', (e) => {
+      if (e.pointerType === 'mouse') {
+        if (state.zoom > minZoom) {
+          const position = pointerPosition(e);
+          state.x = position.x;
+          state.y = position.y;
+          render();
+        }
+        return;
+      }
+
+      if (!pointers.has(e.pointerId)) return;
+      pointers.set(e.pointerId, e);
+
+      if (pinch && pointers.size === 2) {
+        setZoom(pinch.zoom * (pinchDistance() / pinch.distance), pinch.origin);
+        return;
+      }
+
+      if (drag) {
+        const rect = heroImage.getBoundingClientRect();
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+
+        if (lensMode) {
+          setZoom(state.zoom, pointerPosition(e));
+        } else {
+          panBy((dx / rect.width) * 100, (dy / rect.height) * 100);
+        }
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+      }
+    }, { signal });
+
+    function endPointer(e) {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+
+      if (pointers.size < 2) {
+        pinch = null;
+      }
+
+      if (pointers.size === 1) {
+        const remaining = Array.from(pointers.values())[0];
+        drag = { x: remaining.clientX, y: remaining.clientY, moved: true };
+        return;
+      }
+
+      if (pointers.size === 0 && drag) {
+        if (lensMode) {
+          resetZoom();
+        } else if (!drag.moved && e.type === 'pointerup') {
+          const now = Date.now();
+          if (now - lastTap < 300) {
+            if (state.zoom > minZoom) {
+              resetZoom();
+            } else {
+              setZoom(hoverZoom, pointerPosition(e));
+            }
+            lastTap = 0;
+          } else {
+            lastTap = now;
+          }
+        }
+        drag = null;
+      }
+    }
+
+    heroImage.addEventListener('pointerup', endPointer, { signal });
+    heroImage.addEventListener('pointercancel', endPointer, { signal });
+
+    // Keyboard zoom when the preview has focus
+    heroImage.addEventListener('keydown', (e) => {
+      // Leave browser zoom (Ctrl/Cmd +/-/0) and other shortcuts alone
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      switch (e.key) {
+        case '+':
+        case '=':
+          setZoom(state.zoom + step);
+          break;
+        case '-':
+        case '_':
+          setZoom(state.zoom - step);
+          break;
+        case '0':
+        case 'Escape':
+          resetZoom();
+          break;
+        case 'ArrowLeft':
+          panBy(lensMode ? -panStep : panStep, 0);
+          break;
+        case 'ArrowRight':
+          panBy(lensMode ? panStep : -panStep, 0);
+          break;
+        case 'ArrowUp':
+          panBy(0, lensMode ? -panStep : panStep);
+          break;
+        case 'ArrowDown':
+          panBy(0, lensMode ? panStep : -panStep);
+          break;
+        default:
+          return;
+      }
+
+      // Only swallow arrows while zoomed so they still scroll the page otherwise
+      if (e.key.startsWith('Arrow') && state.zoom <= minZoom) return;
+      e.preventDefault();
+    }, { signal });
+
+    heroImage.addEventListener('blur', () => {
+      if (!heroImage.matches(':hover')) {
+        resetZoom();
+      }
+    }, { signal });
+
+    // Wheel zoom only with Ctrl/Cmd held (also covers trackpad pinch)
+    heroImage.addEventListener('wheel', (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+
+      const delta = e.deltaY < 0 ? step : -step;
+      setZoom(state.zoom + delta, pointerPosition(e));
+    }, { passive: false, signal });
+
+    return () => {
+      controller.abort();
+      lens?.remove();
+      heroImage.classList.remove('zoom-ready', 'is-zoomed');
+      img.style.transform = '';
+      img.style.transformOrigin = '';
+    };
+  }
+
+  // Register component
+  window.RustPress.components.register('dashboard-zoom', { selector: '.hero-image', mount: mountDashboardZoom });
+
+})();
@@ -0,0 +1,121 @@
+/**
+ * RustPress Enterprise Theme - Format
+ * Locale-aware numbers, currency, percentages, units and dates, built on
+ * Intl.NumberFormat / Intl.DateTimeFormat for the page locale (<html lang>).
+ *
+ * Usage:
+ *   RustPress.format.number(1234.5, { maximumFractionDigits: 2 })  // de: '1.234,5'
+ *   RustPress.format.compact(1520000)                              // '1.5M'
+ *   RustPress.format.currency(1234.56)                             // settings.currency; de + EUR: '1.234,56 €'
+ *   RustPress.format.percent(0.25)                                 // '25%'
+ *   RustPress.format.unit(50, 'millisecond')                       // '50 ms'
+ *   RustPress.format.date('2026-03-01', { dateStyle: 'long' })
+ *
+ * Every method takes Intl options; options.locale overrides the page locale.
+ */
+
+(function() {
+  'use strict';
+
+  const { config, i18n } = window.RustPress;
+
+  const FALLBACK_LOCALE = 'en';
+
+  const defaultLocale = i18n ? i18n.locale : (document.documentElement.lang || FALLBACK_LOCALE);
+
+  const numberFormats = new Map();
+  const dateFormats = new Map();
+
+  /**
+   * Formatters are costly to build, so keep one per locale and options
+   */
+  function getFormatter(cache, Formatter, { locale = defaultLocale, ...options }) {
+    const key = `${locale}|${JSON.stringify(options)}`;
+
+    if (!cache.has(key)) {
+      try {
+        cache.set(key, new Formatter(locale, options));
+      } catch (error) {
+        // Unknown locale or unsupported option: fall back to the defaults
+        console.warn('Invalid format options:', error);
+        cache.set(key, getFallbackFormatter(Formatter, options));
+      }
+    }
+
+    return cache.get(key);
+  }
+
+  /**
+   * English, keeping the currency unless the currency code was what failed
+   */
+  function getFallbackFormatter(Formatter, options) {
+    if (options.style === 'currency') {
+      try {
+        return new Formatter(FALLBACK_LOCALE, { style: 'currency', currency: options.currency });
+      } catch {
+        // Unknown currency code: plain number
+      }
+    }
+
+    return new Formatter(FALLBACK_LOCALE);
+  }
+
+  function number(value, options = {}) {
+    return getFormatter(numberFormats, Intl.NumberFormat, options).format(value);
+  }
+
+  function compact(value, options = {}) {
+    return number(value, { notation: 'compact', maximumFractionDigits: 1, ...options });
+  }
+
+  function currency(value, code = config.get('currency', 'USD'), options = {}) {
+    return number(value, { style: 'currency', currency: String(code).toUpperCase(), ...options });
+  }
+
+  /**
+   * Ratio to percentage: percent(0.25) is '25%'
+   */
+  function percent(value, options = {}) {
+    return number(value, { style: 'percent', maximumFractionDigits: 1, ...options });
+  }
+
+  function unit(value, name, options = {}) {
+    return number(value, { style: 'unit', unit: name, ...options });
+  }
+
+  function date(value, options = {}) {
+    const dateValue = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(dateValue.getTime())) return '';
+
+    return getFormatter(dateFormats, Intl.DateTimeFormat, options).format(dateValue);
+  }
+
+  /**
+   * Intl options from data attributes shared by the counter components:
+   * data-notation="compact", data-style="currency|percent|unit",
+   * data-currency="EUR", data-unit="millisecond"
+   */
+  function optionsFromDataset(dataset) {
+    const options = {};
+
+    if (dataset.notation) options.notation = dataset.notation;
+    if (dataset.style) options.style = dataset.style;
+    if (options.style === 'currency') options.currency = (dataset.currency || config.get('currency', 'USD')).toUpperCase();
+    if (options.style === 'unit' && dataset.unit) options.unit = dataset.unit;
+
+    return options;
+  }
+
+  // Expose for other modules
+  window.RustPress.format = {
+    locale: defaultLocale,
+    number,
+    compact,
+    currency,
+    percent,
+    unit,
+    date,
+    optionsFromDataset
+  };
+
+})();
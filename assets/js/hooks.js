@@ -0,0 +1,98 @@
+/**
+ * RustPress Enterprise Theme - Hooks
+ * WordPress-style actions and filters so child themes can extend behavior
+ * without patching theme files.
+ *
+ * Usage:
+ *   RustPress.hooks.addFilter('forms.newsletter.payload', (payload, form) => {
+ *     return { ...payload, list: form.dataset.list };
+ *   });
+ *
+ *   RustPress.hooks.addAction('checkout.success', (data) => {
+ *     console.log('Subscribed:', data.subscriptionId);
+ *   }, 5);
+ *
+ * Callbacks run in ascending priority (default 10); equal priorities run in
+ * the order they were added. A filter returning undefined leaves the value
+ * unchanged, and a throwing callback is logged and skipped.
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_PRIORITY = 10;
+
+  const filters = new Map();
+  const actions = new Map();
+
+  function add(registry, name, callback, priority = DEFAULT_PRIORITY) {
+    if (typeof callback !== 'function') {
+      throw new TypeError(`Hook "${name}" needs a function callback`);
+    }
+
+    const handlers = registry.get(name) || [];
+    handlers.push({ callback, priority });
+    // Array.prototype.sort is stable, so insertion order holds within a priority
+    handlers.sort((a, b) => a.priority - b.priority);
+    registry.set(name, handlers);
+  }
+
+  function remove(registry, name, callback) {
+    const handlers = registry.get(name);
+    if (!handlers) return false;
+
+    const index = handlers.findIndex(handler => handler.callback === callback);
+    if (index === -1) return false;
+
+    handlers.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Pass value through every filter on name; extra arguments are context
+   */
+  function applyFilters(name, value, ...args) {
+    const handlers = filters.get(name);
+    if (!handlers) return value;
+
+    return handlers.slice().reduce((current, { callback }) => {
+      try {
+        const result = callback(current, ...args);
+        return result === undefined ? current : result;
+      } catch (error) {
+        console.error(`Filter "${name}" failed:`, error);
+        return current;
+      }
+    }, value);
+  }
+
+  /**
+   * Run every action on name
+   */
+  function doAction(name, ...args) {
+    const handlers = actions.get(name);
+    if (!handlers) return;
+
+    handlers.slice().forEach(({ callback }) => {
+      try {
+        callback(...args);
+      } catch (error) {
+        console.error(`Action "${name}" failed:`, error);
+      }
+    });
+  }
+
+  // Expose the public API
+  window.RustPress = window.RustPress || {};
+  window.RustPress.hooks = {
+    addFilter: (name, callback, priority) => add(filters, name, callback, priority),
+    removeFilter: (name, callback) => remove(filters, name, callback),
+    hasFilter: (name) => Boolean(filters.get(name)?.length),
+    applyFilters,
+    addAction: (name, callback, priority) => add(actions, name, callback, priority),
+    removeAction: (name, callback) => remove(actions, name, callback),
+    hasAction: (name) => Boolean(actions.get(name)?.length),
+    doAction
+  };
+
+})();
@@ -0,0 +1,257 @@
+/**
+ * RustPress Enterprise Theme - I18n
+ * Message catalog for strings built by the theme scripts, keyed by <html lang>.
+ * Translations load from assets/i18n/<locale>.json for the locales listed in
+ * settings.i18n.locales (theme.json "i18n"); anything missing falls back to
+ * the base language (de-AT -> de) and then to English.
+ *
+ * Usage:
+ *   RustPress.i18n.t('gallery.counter', { index: 2, total: 8 })   // '2 / 8'
+ *   RustPress.i18n.t('forms.validation.minLength', { count: 1 })  // plural via Intl.PluralRules
+ *   RustPress.i18n.addMessages('de', { 'gallery.close': 'Schließen' })
+ *
+ * A message is a string with {placeholders}, or an object keyed by plural
+ * category (zero, one, two, few, many, other) selected by params.count.
+ *
+ * Generated elements can carry data-i18n / data-i18n-aria-label="<key>"; they
+ * are re-labelled once the translations have loaded.
+ */
+
+(function() {
+  'use strict';
+
+  const { config, hooks } = window.RustPress;
+
+  const FALLBACK_LOCALE = 'en';
+
+  // English source strings; translation files override them key by key
+  const MESSAGES = {
+    'forms.validation.required': 'This field is required',
+    'forms.validation.email': 'Please enter a valid email address',
+    'forms.validation.minLength': {
+      one: 'Must be at least {count} character',
+      other: 'Must be at least {count} characters'
+    },
+    'forms.validation.maxLength': {
+      one: 'Must be no more than {count} character',
+      other: 'Must be no more than {count} characters'
+    },
+    'forms.validation.phone': 'Please enter a valid phone number',
+    'forms.validation.url': 'Please enter a valid URL',
+    'forms.validation.match': 'Fields do not match',
+    'forms.submitted': 'Submitted successfully!',
+    'forms.submitFailed': 'Submission failed',
+    'forms.error': 'An error occurred. Please try again.',
+    'forms.newsletter.success': 'Thank you for subscribing! Check your email for confirmation.',
+    'forms.newsletter.error': 'Subscription failed. Please try again.',
+    'forms.contact.success': 'Message sent successfully! We\'ll get back to you soon.',
+    'forms.contact.error': 'Failed to send message. Please try again.',
+    'forms.waitlist.success': 'You\'re on the list! We\'ll notify you when RustPress launches.',
+    'forms.earlyAccess.success': 'Welcome to early access! Check your email for next steps.',
+    'forms.signup.error': 'Signup failed. Please try again.',
+
+    'checkout.perMonth': '/month',
+    'checkout.perYear': '/year',
+    'checkout.savings': 'Save {amount} with yearly billing',
+    'checkout.promo.empty': 'Please enter a promo code',
+    'checkout.promo.validating': 'Validating...',
+    'checkout.promo.apply': 'Apply',
+    'checkout.promo.applied': 'Applied',
+    'checkout.promo.discount': '{percent} discount applied!',
+    'checkout.promo.invalid': 'Invalid promo code',
+    'checkout.fields.full-name': 'Full name',
+    'checkout.fields.email': 'Email',
+    'checkout.errors.plan': 'Please select a subscription plan',
+    'checkout.errors.required': '{field} is required',
+    'checkout.errors.email': 'Please enter a valid email address',
+    'checkout.errors.terms': 'Please accept the terms and conditions',
+    'checkout.errors.subscription': 'Failed to create subscription',
+    'checkout.errors.confirm': 'Failed to confirm subscription',
+    'checkout.errors.incomplete': 'Payment incomplete. Please try again.',
+    'checkout.errors.status': 'Unexpected subscription status: {status}',
+    'checkout.errors.generic': 'An unexpected error occurred. Please try again.',
+
+    'gallery.close': 'Close',
+    'gallery.previous': 'Previous',
+    'gallery.next': 'Next',
+    'gallery.counter': '{index} / {total}',
+
+    'breadcrumbs.home': 'Home',
+
+    'colorScheme.label': 'Color scheme: {mode}',
+    'colorScheme.modes.system': 'System',
+    'colorScheme.modes.light': 'Light',
+    'colorScheme.modes.dark': 'Dark',
+
+    'motion.toggle': 'Reduce motion',
+
+    'showcase.pause': 'Pause demo',
+    'showcase.play': 'Play demo',
+    'showcase.next': 'Next prompt',
+    'showcase.announce': 'Prompt {index} of {total}: {prompt}',
+
+    'progress.label': '{percent} complete',
+
+    'zoom.label': '{name}. Press plus or minus to zoom and 0 to reset.',
+    'zoom.defaultName': 'Dashboard preview',
+
+    'palette.placeholder': 'Search pages, docs and actions...',
+    'palette.empty': 'No results',
+    'palette.results': {
+      one: '{count} result',
+      other: '{count} results'
+    },
+    'palette.groups.recent': 'Recent',
+    'palette.groups.actions': 'Actions',
+    'palette.groups.pages': 'Pages',
+    'palette.groups.sections': 'On this page',
+    'palette.groups.docs': 'Documentation',
+    'palette.groups.blog': 'Blog',
+    'palette.actions.toggleTheme': 'Toggle dark mode',
+    'palette.actions.toggleMotion': 'Toggle reduced motion',
+    'palette.actions.pricing': 'Go to pricing',
+    'palette.actions.copyInstall': 'Copy install command',
+    'palette.actions.cookieSettings': 'Cookie settings',
+    'palette.copied': 'Copied to clipboard',
+    'palette.copyFailed': 'Could not copy to clipboard',
+
+    'search.title': 'Search Results',
+    'search.titleFor': 'Search Results for "{query}"',
+    'search.count': {
+      one: 'Found {count} result',
+      other: 'Found {count} results'
+    },
+    'search.noResults': 'We couldn\'t find anything matching "{query}". Try different keywords or browse our categories.',
+    'search.prompt': 'Enter a search term above to find articles, tutorials, and more.',
+    'search.error': 'Search is unavailable right now. Press Search to try again.',
+    'search.view': 'View {type}',
+    'search.pagination': 'Search results pagination',
+    'search.previous': 'Previous',
+    'search.next': 'Next'
+  };
+
+  const catalogs = new Map([[FALLBACK_LOCALE, { ...MESSAGES }]]);
+  const pluralRules = new Map();
+
+  const locale = document.documentElement.lang || FALLBACK_LOCALE;
+  const chain = getChain(locale);
+
+  const ready = loadTranslations();
+
+  /**
+   * Lookup order, most specific first: ['de-AT', 'de', 'en']
+   */
+  function getChain(tag) {
+    const locales = [];
+    const parts = tag.split('-');
+
+    for (let i = parts.length; i > 0; i--) {
+      locales.push(parts.slice(0, i).join('-'));
+    }
+    if (!locales.includes(FALLBACK_LOCALE)) locales.push(FALLBACK_LOCALE);
+
+    return locales;
+  }
+
+  async function loadTranslations() {
+    const path = config.get('i18n.path', '/themes/rustpress-enterprise/assets/i18n');
+    // Only catalogs that exist, so en-US or de-AT don't cost a failed request
+    const available = config.get('i18n.locales', []);
+    const locales = chain.filter(code => code !== FALLBACK_LOCALE && available.includes(code));
+
+    await Promise.all(locales.map(async (code) => {
+      try {
+        const response = await fetch(`${path}/${code}.json`, { headers: { 'Accept': 'application/json' } });
+        // No file for this locale: fall through to the next one
+        if (!response.ok) return;
+        addMessages(code, await response.json());
+      } catch (error) {
+        console.warn(`Could not load translations for "${code}":`, error);
+      }
+    }));
+
+    localize(document);
+    hooks.doAction('i18n.loaded', locale);
+    return locale;
+  }
+
+  /**
+   * Merge messages into a locale's catalog
+   */
+  function addMessages(code, messages) {
+    catalogs.set(code, { ...catalogs.get(code), ...messages });
+  }
+
+  function lookup(key) {
+    for (const code of chain) {
+      const catalog = catalogs.get(code);
+      if (catalog && catalog[key] !== undefined) {
+        return { code, message: catalog[key] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Translated message for key; unknown keys are returned as-is
+   */
+  function t(key, params = {}) {
+    const found = lookup(key);
+    if (!found) {
+      console.warn(`Missing message "${key}"`);
+      return key;
+    }
+
+    let { message } = found;
+    if (message && typeof message === 'object') {
+      // Plural rules of the catalog the message came from
+      message = message[plural(found.code, params.count)] ?? message.other ?? '';
+    }
+
+    return interpolate(String(message), params);
+  }
+
+  function has(key) {
+    return lookup(key) !== null;
+  }
+
+  function plural(code, count) {
+    if (typeof count !== 'number' || !('PluralRules' in Intl)) {
+      return count === 1 ? 'one' : 'other';
+    }
+
+    if (!pluralRules.has(code)) {
+      pluralRules.set(code, new Intl.PluralRules(code));
+    }
+    return pluralRules.get(code).select(count);
+  }
+
+  function interpolate(message, params) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+      params[name] === undefined ? match : String(params[name])
+    ));
+  }
+
+  /**
+   * Re-label elements rendered before the translations arrived
+   */
+  function localize(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+  }
+
+  // Expose for other modules
+  window.RustPress.i18n = {
+    locale,
+    ready,
+    t,
+    has,
+    addMessages,
+    localize
+  };
+
+})();
@@ -0,0 +1,265 @@
+/**
+ * RustPress Enterprise Theme - Loader
+ * Loads feature scripts only on pages that use them. Each module lists the
+ * markup it is for; when that markup is in the document (now, or later via
+ * instant navigation or AJAX) the module and its dependencies are fetched
+ * with preload hints and executed in dependency order. Components register
+ * late and core.js mounts them straight away.
+ *
+ * Usage:
+ *   RustPress.loader.load('stripe').then(() => window.rustPressPayments.selectPlan('business'))
+ *   RustPress.loader.define('charts', { src: 'charts.js', selector: '[data-chart]', deps: ['counters'] })
+ *   RustPress.loader.define('debug', { src: 'debug.js', when: () => location.hash === '#debug' })
+ *
+ * A when() condition loads a module that has no markup of its own once at
+ * startup (or at define() time), if it returns true.
+ * Relative src values resolve against this script's directory. Modules with
+ * type: 'module' are loaded as ES modules (their classes live in
+ * assets/js/modules/).
+ *
+ * Hooks:
+ *   loader.loaded (name)   after a module has executed
+ */
+
+(function() {
+  'use strict';
+
+  const { hooks } = window.RustPress;
+
+  const BASE_URL = new URL('.', document.currentScript ? document.currentScript.src : location.href).href;
+
+  const modules = new Map();
+  const loading = new Map();
+  const loaded = new Set();
+  let observer = null;
+
+  /**
+   * Feature modules; modules without a selector or condition only load as
+   * dependencies
+   */
+  const MODULES = {
+    particles: {
+      src: 'particles.js',
+      type: 'module',
+      selector: '#particles-canvas, #cta-particles'
+    },
+    counters: {
+      src: 'counters.js',
+      type: 'module',
+      selector: '[data-counter], [data-live-counter], [data-progress]'
+    },
+    forms: {
+      src: 'forms.js',
+      type: 'module',
+      selector: '.contact-form, .newsletter-form, .newsletter-widget-form, .early-access-form, .waitlist-form, .input-floating, textarea[maxlength]'
+    },
+    gallery: {
+      src: 'gallery.js',
+      type: 'module',
+      selector: '[data-gallery], [data-slider], [data-lightbox]'
+    },
+    animations: {
+      src: 'animations.js',
+      selector: '[data-animate], [data-animate-stagger], [data-parallax], .typewriter'
+    },
+    'code-tabs': {
+      src: 'code-tabs.js',
+      selector: '.code-example'
+    },
+    'dashboard-zoom': {
+      src: 'dashboard-zoom.js',
+      selector: '.hero-image'
+    },
+    'dashboard-gallery': {
+      src: 'dashboard-gallery.js',
+      selector: '#gallery-slider'
+    },
+    'ai-showcase': {
+      src: 'ai-showcase.js',
+      selector: '[data-ai-showcase]'
+    },
+    search: {
+      src: 'search.js',
+      selector: '[data-live-search]'
+    },
+    'stripe-js': {
+      src: 'https://js.stripe.com/v3/'
+    },
+    stripe: {
+      src: 'stripe.js',
+      selector: '#payment-form, #card-element',
+      deps: ['stripe-js']
+    },
+    // Only inside the customizer's preview frame
+    'customizer-preview': {
+      src: 'customizer-preview.js',
+      when: () => window.parent !== window
+    }
+  };
+
+  /**
+   * Add or replace a module definition
+   */
+  function define(name, definition) {
+    add(name, definition);
+
+    if (document.readyState !== 'loading') {
+      if (definition.selector) scan(document);
+      if (definition.when) loadIf(modules.get(name));
+    }
+  }
+
+  function add(name, { src, type = 'classic', selector = null, when = null, deps = [] }) {
+    if (!src) {
+      throw new TypeError(`Module "${name}" needs a src`);
+    }
+
+    modules.set(name, { name, url: new URL(src, BASE_URL).href, type, selector, when, deps });
+  }
+
+  function loadIf(module) {
+    if (!module.when || loading.has(module.name) || !module.when()) return;
+
+    load(module.name).catch(error => console.error(error));
+  }
+
+  function isPresent(url) {
+    return Array.from(document.scripts).some(script => script.src === url);
+  }
+
+  /**
+   * Dependencies first, each once: ['stripe-js', 'stripe']
+   */
+  function resolve(name, order = [], path = []) {
+    const module = modules.get(name);
+    if (!module) {
+      throw new Error(`Unknown module "${name}"`);
+    }
+    if (path.includes(name)) {
+      throw new Error(`Circular module dependency: ${[...path, name].join(' -> ')}`);
+    }
+
+    module.deps.forEach(dep => resolve(dep, order, [...path, name]));
+    if (!order.includes(name)) order.push(name);
+
+    return order;
+  }
+
+  function preload({ url, type }) {
+    // rel="preload" or rel="modulepreload"
+    if (document.head.querySelector(`link[rel$="preload"][href="${CSS.escape(url)}"]`)) return;
+
+    const link = document.createElement('link');
+    // modulepreload also fetches the module's imports
+    if (type === 'module') {
+      link.rel = 'modulepreload';
+    } else {
+      link.rel = 'preload';
+      link.as = 'script';
+    }
+    link.href = url;
+    document.head.appendChild(link);
+  }
+
+  function inject(module) {
+    return new Promise((resolvePromise, reject) => {
+      const script = document.createElement('script');
+      script.src = module.url;
+      if (module.type === 'module') script.type = 'module';
+      script.async = false;
+      // Ignored by assets/js/transitions.js when comparing pages
+      script.dataset.loader = module.name;
+      script.onload = () => resolvePromise();
+      script.onerror = () => {
+        script.remove();
+        reject(new Error(`Failed to load module "${module.name}" from ${module.url}`));
+      };
+      document.body.appendChild(script);
+    });
+  }
+
+  /**
+   * Load a module and its dependencies; resolves once all have executed
+   */
+  function load(name) {
+    if (loading.has(name)) return loading.get(name);
+
+    let order;
+    try {
+      order = resolve(name);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    // Fetch everything in parallel, execute in order
+    order.forEach(dep => {
+      const module = modules.get(dep);
+      if (!loading.has(dep) && !isPresent(module.url)) preload(module);
+    });
+
+    const module = modules.get(name);
+    const promise = Promise.all(module.deps.map(load))
+      .then(() => (isPresent(module.url) ? null : inject(module)))
+      .then(() => {
+        loaded.add(name);
+        hooks.doAction('loader.loaded', name);
+        return name;
+      });
+
+    // Allow another attempt after a network error
+    promise.catch(() => loading.delete(name));
+    loading.set(name, promise);
+
+    return promise;
+  }
+
+  /**
+   * Load the modules whose markup is inside root
+   */
+  function scan(root = document) {
+    const needed = [];
+
+    modules.forEach(module => {
+      if (!module.selector || loading.has(module.name)) return;
+
+      const matches = (root.nodeType === Node.ELEMENT_NODE && root.matches(module.selector))
+        || root.querySelector(module.selector);
+      if (matches) needed.push(module.name);
+    });
+
+    return Promise.all(needed.map(name => load(name).catch(error => {
+      console.error(error);
+      return null;
+    })));
+  }
+
+  function observe() {
+    if (observer || !('MutationObserver' in window)) return;
+
+    observer = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) scan(node);
+        });
+      });
+    });
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  Object.entries(MODULES).forEach(([name, definition]) => add(name, definition));
+
+  // Deferred like the other theme scripts, so the document is parsed by now
+  scan(document);
+  modules.forEach(loadIf);
+  observe();
+
+  // Expose for other modules
+  window.RustPress.loader = {
+    define,
+    load,
+    scan,
+    isLoaded: (name) => loaded.has(name)
+  };
+
+})();
@@ -6,27 +6,20 @@
 (function() {
   'use strict';
 
+  const { components, hooks, motion } = window.RustPress;
+
   // DOM Ready
   document.addEventListener('DOMContentLoaded', init);
 
   function init() {
-    initScrollProgress();
-    initBackToTop();
     initSmoothScroll();
-    initCodeTabs();
-    initThemeToggle();
-    initLazyLoading();
-    initDashboardZoom();
-    initAIPromptCycle();
-    initGallerySlider();
   }
 
   /**
    * Scroll Progress Bar
    */
-  function initScrollProgress() {
-    const progressBar = document.getElementById('scroll-progress');
-    if (!progressBar) return;
+  function mountScrollProgress(progressBar) {
+    const controller = new AbortController();
 
     function updateProgress() {
       const scrollTop = window.scrollY;
@@ -35,16 +28,17 @@
       progressBar.style.width = progress + '%';
     }
 
-    window.addEventListener('scroll', updateProgress, { passive: true });
+    window.addEventListener('scroll', updateProgress, { passive: true, signal: controller.signal });
     updateProgress();
+
+    return () => controller.abort();
   }
 
   /**
    * Back to Top Button
    */
-  function initBackToTop() {
-    const button = document.getElementById('back-to-top');
-    if (!button) return;
+  function mountBackToTop(button) {
+    const controller = new AbortController();
 
     function toggleVisibility() {
       if (window.scrollY > 500) {
@@ -55,305 +49,350 @@
     }
 
     button.addEventListener('click', () => {
-      window.scrollTo({
-        top: 0,
-        behavior: 'smooth'
-      });
-    });
+      scrollToPosition(0, smoothBehavior());
+    }, { signal: controller.signal });
 
-    window.addEventListener('scroll', toggleVisibility, { passive: true });
+    window.addEventListener('scroll', toggleVisibility, { passive: true, signal: controller.signal });
     toggleVisibility();
+
+    return () => controller.abort();
   }
 
   /**
    * Smooth Scroll for Anchor Links
+   * Offsets for the fixed header on click, on initial load with a hash and on
+   * back/forward. Links inside [data-anchor-history="replace"] (or carrying it)
+   * replace the current history entry instead of pushing a new one.
    */
   function initSmoothScroll() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener('click', function(e) {
-        const href = this.getAttribute('href');
-        if (href === '#') return;
-
-        const target = document.querySelector(href);
-        if (target) {
-          e.preventDefault();
-          const headerHeight = document.querySelector('.site-header')?.offsetHeight || 0;
-          const targetPosition = target.getBoundingClientRect().top + window.scrollY - headerHeight - 20;
-
-          window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-          });
-
-          // Update URL
-          history.pushState(null, null, href);
-        }
-      });
+    document.addEventListener('click', (e) => {
+      const anchor = e.target.closest('a[href^="#"]');
+      if (!anchor || e.defaultPrevented) return;
+      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+      const href = anchor.getAttribute('href');
+      if (href === '#') return;
+
+      const target = getHashTarget(href);
+      if (!target) return;
+
+      e.preventDefault();
+      scrollToTarget(target, smoothBehavior());
+
+      // Update URL
+      const historyMode = anchor.closest('[data-anchor-history]')?.dataset.anchorHistory;
+      if (historyMode === 'replace') {
+        history.replaceState(history.state, '', href);
+      } else if (location.hash !== href) {
+        history.pushState(null, '', href);
+      }
     });
-  }
 
-  /**
-   * Code Tabs
-   */
-  function initCodeTabs() {
-    const tabs = document.querySelectorAll('.code-tab');
-    if (!tabs.length) return;
-
-    tabs.forEach(tab => {
-      tab.addEventListener('click', () => {
-        const tabId = tab.dataset.tab;
-        const container = tab.closest('.code-example');
-
-        // Update tabs
-        container.querySelectorAll('.code-tab').forEach(t => t.classList.remove('active'));
-        tab.classList.add('active');
-
-        // Update content
-        container.querySelectorAll('.code-block').forEach(block => {
-          block.classList.add('hidden');
-        });
-        const targetBlock = document.getElementById('code-' + tabId);
-        if (targetBlock) {
-          targetBlock.classList.remove('hidden');
-        }
-      });
+    // Back/forward between in-page entries
+    window.addEventListener('popstate', () => {
+      const target = getHashTarget(location.hash);
+      if (target) {
+        scrollToTarget(target, 'auto');
+      }
     });
-  }
 
-  /**
-   * Theme Toggle (Dark/Light Mode)
-   */
-  function initThemeToggle() {
-    const toggle = document.getElementById('theme-toggle');
-    if (!toggle) return;
-
-    // Check for saved preference
-    const savedTheme = localStorage.getItem('theme');
-    if (savedTheme) {
-      document.documentElement.setAttribute('data-theme', savedTheme);
+    // Correct the browser's native jump, which ignores the fixed header
+    const initialTarget = getHashTarget(location.hash);
+    if (initialTarget) {
+      requestAnimationFrame(() => scrollToTarget(initialTarget, 'auto', false));
+
+      // Late images and fonts shift layout; re-align unless the user has moved on
+      window.addEventListener('load', () => {
+        const expected = getTargetScrollTop(initialTarget);
+        if (Math.abs(window.scrollY - expected) < window.innerHeight / 2) {
+          scrollToTarget(initialTarget, 'auto', false);
+        }
+      }, { once: true });
     }
+  }
 
-    toggle.addEventListener('click', () => {
-      const currentTheme = document.documentElement.getAttribute('data-theme');
-      const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+  function getHashTarget(hash) {
+    if (!hash || hash === '#') return null;
 
-      document.documentElement.setAttribute('data-theme', newTheme);
-      localStorage.setItem('theme', newTheme);
-    });
+    try {
+      return document.getElementById(decodeURIComponent(hash.slice(1)));
+    } catch {
+      return null;
+    }
   }
 
-  /**
-   * Lazy Loading Images
-   */
-  function initLazyLoading() {
-    const images = document.querySelectorAll('img[data-src]');
-    if (!images.length) return;
+  // Fixed header and announcement bar (assets/js/navigation.js), plus breathing room
+  function getScrollOffset() {
+    const header = window.RustPress.header;
+    const headerHeight = header ? header.getOffset() : (document.querySelector('.site-header')?.offsetHeight || 0);
+    return headerHeight + 20;
+  }
 
-    if ('IntersectionObserver' in window) {
-      const imageObserver = new IntersectionObserver((entries, observer) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            const img = entry.target;
-            img.src = img.dataset.src;
-            img.removeAttribute('data-src');
-            observer.unobserve(img);
-          }
-        });
-      }, {
-        rootMargin: '50px 0px'
-      });
+  // Smooth scrolling follows the motion policy (assets/js/motion.js)
+  function smoothBehavior() {
+    return motion.isReduced() ? 'auto' : 'smooth';
+  }
 
-      images.forEach(img => imageObserver.observe(img));
-    } else {
-      // Fallback for older browsers
-      images.forEach(img => {
-        img.src = img.dataset.src;
-        img.removeAttribute('data-src');
-      });
-    }
+  function getTargetScrollTop(target) {
+    return target.getBoundingClientRect().top + window.scrollY - getScrollOffset();
   }
 
   /**
-   * AI Prompt Cycling Animation
+   * Scroll the window, letting the header know the scroll is not the user's
    */
-  function initAIPromptCycle() {
-    const prompts = document.querySelectorAll('.ai-prompt');
-    if (prompts.length < 2) return;
+  function scrollToPosition(top, behavior) {
+    hooks.doAction('scroll.start', top, behavior);
+    window.scrollTo({ top, behavior });
+  }
 
-    let current = 0;
+  function scrollToTarget(target, behavior, moveFocus = true) {
+    scrollToPosition(getTargetScrollTop(target), behavior);
 
-    setInterval(() => {
-      prompts[current].classList.remove('active');
-      current = (current + 1) % prompts.length;
-      prompts[current].classList.add('active');
-    }, 2500);
+    // Move focus so keyboard and screen reader users continue from the target
+    if (moveFocus) {
+      if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) {
+        target.setAttribute('tabindex', '-1');
+      }
+      target.focus({ preventScroll: true });
+    }
   }
 
   /**
-   * Dashboard Image Cursor-Based Zoom
+   * Scroll Spy
+   * Marks header links and in-page navs ([data-scrollspy]) pointing at the
+   * section currently in view with .active and aria-current="location"
    */
-  function initDashboardZoom() {
-    const heroImage = document.querySelector('.hero-image');
-    if (!heroImage) return;
+  function mountScrollSpy(container) {
+    const links = Array.from(container.querySelectorAll('a[href*="#"]'))
+      .filter(link => link.pathname === location.pathname && getHashTarget(link.hash));
+    if (!links.length) return null;
 
-    const img = heroImage.querySelector('img');
-    if (!img) return;
+    const controller = new AbortController();
 
-    let zoomLevel = 1;
-    const maxZoom = 3;
-    const minZoom = 1;
+    // Unique targets in document order
+    const sections = Array.from(new Set(links.map(link => getHashTarget(link.hash))))
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
 
-    heroImage.addEventListener('mousemove', (e) => {
-      const rect = heroImage.getBoundingClientRect();
-      const x = ((e.clientX - rect.left) / rect.width) * 100;
-      const y = ((e.clientY - rect.top) / rect.height) * 100;
+    let current = null;
+    let ticking = false;
 
-      img.style.transformOrigin = `${x}% ${y}%`;
-    });
+    function update() {
+      const line = getScrollOffset() + 1;
+      const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+      let active = null;
 
-    heroImage.addEventListener('mouseenter', () => {
-      zoomLevel = 2;
-      img.style.transform = `scale(${zoomLevel})`;
-    });
+      if (atBottom) {
+        active = sections[sections.length - 1];
+      } else {
+        // The last section whose top has passed under the header
+        sections.forEach(section => {
+          if (section.getBoundingClientRect().top <= line) {
+            active = section;
+          }
+        });
+      }
 
-    heroImage.addEventListener('mouseleave', () => {
-      zoomLevel = 1;
-      img.style.transform = `scale(${zoomLevel})`;
-      img.style.transformOrigin = 'center center';
-    });
+      if (active !== current) {
+        current = active;
+        links.forEach(link => {
+          const isActive = active !== null && getHashTarget(link.hash) === active;
+          link.classList.toggle('active', isActive);
+          if (isActive) {
+            link.setAttribute('aria-current', 'location');
+          } else if (link.getAttribute('aria-current') === 'location') {
+            link.removeAttribute('aria-current');
+          }
+        });
+      }
 
-    // Scroll wheel to zoom more
-    heroImage.addEventListener('wheel', (e) => {
-      e.preventDefault();
+      ticking = false;
+    }
 
-      if (e.deltaY < 0) {
-        zoomLevel = Math.min(maxZoom, zoomLevel + 0.3);
-      } else {
-        zoomLevel = Math.max(minZoom, zoomLevel - 0.3);
+    window.addEventListener('scroll', () => {
+      if (!ticking) {
+        requestAnimationFrame(update);
+        ticking = true;
       }
+    }, { passive: true, signal: controller.signal });
 
-      img.style.transform = `scale(${zoomLevel})`;
-    }, { passive: false });
+    window.addEventListener('resize', window.debounce(update, 150), { signal: controller.signal });
+    update();
+
+    return () => {
+      controller.abort();
+      links.forEach(link => {
+        link.classList.remove('active');
+        if (link.getAttribute('aria-current') === 'location') {
+          link.removeAttribute('aria-current');
+        }
+      });
+    };
   }
 
   /**
-   * Gallery Slider for Dashboard Preview
+   * Lazy Media Loading
+   * Images (data-src/data-srcset/data-sizes, including <picture> sources),
+   * backgrounds (data-bg), iframes and videos. Images marked data-lqip keep
+   * their low-quality src blurred until the full image has decoded.
+   * Elements gated with data-consent are left to assets/js/consent.js, which
+   * needs their data-src to load and unload them.
    */
-  function initGallerySlider() {
-    const slider = document.getElementById('gallery-slider');
-    if (!slider) return;
+  const LAZY_SELECTOR = [
+    'img[data-src]:not([data-consent])',
+    'img[data-srcset]:not([data-consent])',
+    '[data-bg]:not([data-consent])',
+    'iframe[data-src]:not([data-consent])',
+    'video[data-src]:not([data-consent])',
+    'video[data-poster]:not([data-consent])',
+    'video:not([data-consent]) > source[data-src]'
+  ].join(', ');
+  let lazyMediaObserver = null;
+
+  function mountLazyMedia(el) {
+    // A <source data-src> defers to its video
+    const target = el.tagName === 'SOURCE' ? el.parentElement : el;
+
+    if (!('IntersectionObserver' in window)) {
+      // Fallback for older browsers
+      loadLazyMedia(target);
+      return null;
+    }
 
-    const slides = slider.querySelectorAll('.gallery-slide');
-    const dots = document.querySelectorAll('.gallery-dot');
-    const prevBtn = document.querySelector('.gallery-nav--prev');
-    const nextBtn = document.querySelector('.gallery-nav--next');
+    if (!lazyMediaObserver) {
+      lazyMediaObserver = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            observer.unobserve(entry.target);
+            loadLazyMedia(entry.target);
+          }
+        });
+      }, {
+        rootMargin: '200px 0px'
+      });
+    }
 
-    if (slides.length === 0) return;
+    lazyMediaObserver.observe(target);
+    return () => lazyMediaObserver.unobserve(target);
+  }
 
-    let currentSlide = 0;
-    let autoPlayInterval = null;
+  function loadLazyMedia(el) {
+    const tag = el.tagName;
+
+    if (tag === 'IMG') {
+      loadLazyImage(el);
+    } else if (tag === 'IFRAME') {
+      el.src = el.dataset.src;
+      el.removeAttribute('data-src');
+      el.classList.add('lazy-loaded');
+    } else if (tag === 'VIDEO') {
+      loadLazyVideo(el);
+    }
 
-    function showSlide(index) {
-      // Wrap around
-      if (index < 0) index = slides.length - 1;
-      if (index >= slides.length) index = 0;
+    if (el.dataset.bg) {
+      loadLazyBackground(el);
+    }
+  }
 
-      currentSlide = index;
+  function loadLazyImage(img) {
+    const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
 
-      // Update slides
-      slides.forEach((slide, i) => {
-        slide.style.display = i === currentSlide ? 'block' : 'none';
-        slide.classList.toggle('active', i === currentSlide);
-      });
+    const markLoaded = () => {
+      img.classList.add('lazy-loaded');
+      img.removeAttribute('data-lqip');
+    };
 
-      // Update dots
-      dots.forEach((dot, i) => {
-        dot.classList.toggle('active', i === currentSlide);
-      });
+    // Inside <picture> the browser picks the source, so swap in place
+    if (picture || !img.hasAttribute('data-lqip')) {
+      if (picture) {
+        picture.querySelectorAll('source[data-srcset]').forEach(source => {
+          swapLazyAttributes(source);
+        });
+      }
+      img.addEventListener('load', () => decodeImage(img).then(markLoaded), { once: true });
+      swapLazyAttributes(img);
+      return;
     }
 
-    function nextSlide() {
-      showSlide(currentSlide + 1);
-    }
+    // Preload off-screen so the placeholder stays until the full image is decoded
+    const loader = new Image();
+    if (img.dataset.sizes) loader.sizes = img.dataset.sizes;
+    if (img.dataset.srcset) loader.srcset = img.dataset.srcset;
+    if (img.dataset.src) loader.src = img.dataset.src;
 
-    function prevSlide() {
-      showSlide(currentSlide - 1);
-    }
+    decodeImage(loader).then(() => {
+      swapLazyAttributes(img);
+      markLoaded();
+    });
+  }
 
-    function startAutoPlay() {
-      stopAutoPlay();
-      autoPlayInterval = setInterval(nextSlide, 5000);
-    }
+  function loadLazyVideo(video) {
+    video.querySelectorAll('source[data-src]').forEach(source => {
+      source.src = source.dataset.src;
+      source.removeAttribute('data-src');
+    });
 
-    function stopAutoPlay() {
-      if (autoPlayInterval) {
-        clearInterval(autoPlayInterval);
-        autoPlayInterval = null;
-      }
+    if (video.dataset.poster) {
+      video.poster = video.dataset.poster;
+      video.removeAttribute('data-poster');
     }
 
-    // Event listeners
-    if (prevBtn) {
-      prevBtn.addEventListener('click', () => {
-        prevSlide();
-        startAutoPlay();
-      });
+    if (video.dataset.src) {
+      video.src = video.dataset.src;
+      video.removeAttribute('data-src');
     }
 
-    if (nextBtn) {
-      nextBtn.addEventListener('click', () => {
-        nextSlide();
-        startAutoPlay();
-      });
+    video.load();
+    video.classList.add('lazy-loaded');
+
+    if (video.autoplay && !motion.isReduced()) {
+      video.play().catch(() => {});
     }
+  }
 
-    dots.forEach((dot, i) => {
-      dot.addEventListener('click', () => {
-        showSlide(i);
-        startAutoPlay();
-      });
-    });
+  function loadLazyBackground(el) {
+    const url = el.dataset.bg;
+    const loader = new Image();
+    loader.src = url;
 
-    // Keyboard navigation
-    slider.closest('.gallery-container')?.addEventListener('keydown', (e) => {
-      if (e.key === 'ArrowLeft') {
-        prevSlide();
-        startAutoPlay();
-      } else if (e.key === 'ArrowRight') {
-        nextSlide();
-        startAutoPlay();
-      }
+    decodeImage(loader).then(() => {
+      el.style.backgroundImage = `url("${url}")`;
+      el.removeAttribute('data-bg');
+      el.classList.add('lazy-loaded');
     });
+  }
 
-    // Touch/swipe support
-    let touchStartX = 0;
-    let touchEndX = 0;
-
-    slider.addEventListener('touchstart', (e) => {
-      touchStartX = e.changedTouches[0].screenX;
-    }, { passive: true });
+  function swapLazyAttributes(el) {
+    if (el.dataset.sizes) {
+      el.sizes = el.dataset.sizes;
+      el.removeAttribute('data-sizes');
+    }
+    if (el.dataset.srcset) {
+      el.srcset = el.dataset.srcset;
+      el.removeAttribute('data-srcset');
+    }
+    if (el.dataset.src) {
+      el.src = el.dataset.src;
+      el.removeAttribute('data-src');
+    }
+  }
 
-    slider.addEventListener('touchend', (e) => {
-      touchEndX = e.changedTouches[0].screenX;
-      const diff = touchStartX - touchEndX;
+  /**
+   * Resolve once an image can be painted without jank; never rejects so a
+   * broken image still clears its placeholder
+   */
+  function decodeImage(img) {
+    if (img.decode) {
+      return img.decode().catch(() => {});
+    }
 
-      if (Math.abs(diff) > 50) {
-        if (diff > 0) {
-          nextSlide();
-        } else {
-          prevSlide();
-        }
-        startAutoPlay();
+    return new Promise(resolve => {
+      if (img.complete) {
+        resolve();
+        return;
       }
-    }, { passive: true });
-
-    // Pause on hover
-    slider.addEventListener('mouseenter', stopAutoPlay);
-    slider.addEventListener('mouseleave', startAutoPlay);
-
-    // Initialize
-    showSlide(0);
-    startAutoPlay();
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    });
   }
 
   /**
@@ -385,4 +424,33 @@
     };
   };
 
+  /**
+   * Reveal Animation on Scroll
+   * Stand-in that loads assets/js/animations.js, which replaces it, and forwards the call
+   */
+  if (!window.revealOnScroll) {
+    const loadReveal = function(selector, options) {
+      window.RustPress.loader.load('animations')
+        .then(() => {
+          if (window.revealOnScroll !== loadReveal) window.revealOnScroll(selector, options);
+        })
+        .catch(error => console.error('Could not load animations:', error));
+    };
+    window.revealOnScroll = loadReveal;
+  }
+
+  // Register components
+  components.register('scroll-progress', { selector: '#scroll-progress', mount: mountScrollProgress });
+  components.register('back-to-top', { selector: '#back-to-top', mount: mountBackToTop });
+  components.register('scroll-spy', { selector: '.site-header, .mobile-nav, [data-scrollspy]', mount: mountScrollSpy });
+  components.register('lazy-media', { selector: LAZY_SELECTOR, mount: mountLazyMedia });
+
+  // Expose for other modules
+  window.RustPress.scroll = {
+    getOffset: getScrollOffset,
+    getHashTarget,
+    to: scrollToPosition,
+    toTarget: scrollToTarget
+  };
+
 })();
@@ -0,0 +1,151 @@
+/**
+ * RustPress Enterprise Theme - Counters (module)
+ * Animated and live-updating number counters, without auto-initialisation.
+ * assets/js/counters.js mounts these on [data-counter] and [data-live-counter].
+ * With reduced motion a counter shows its final value.
+ *
+ * Usage:
+ *   import { Counter } from './modules/counters.js';
+ *   new Counter(element, { duration: 1500, suffix: '+' }).start();
+ */
+
+import { format, motion } from './services.js';
+
+export class Counter {
+  constructor(element, options = {}) {
+    this.element = element;
+    // Support both data-target and data-counter for the target value
+    this.target = parseFloat(element.dataset.target || element.dataset.counter) || 0;
+    this.duration = parseInt(element.dataset.duration) || options.duration || 2000;
+    this.prefix = element.dataset.prefix || options.prefix || '';
+    this.suffix = element.dataset.suffix || options.suffix || '';
+    this.decimals = parseInt(element.dataset.decimals) || options.decimals || 0;
+    this.easing = options.easing || this.easeOutExpo;
+    this.separator = options.separator !== false;
+    this.formatOptions = { ...format.optionsFromDataset(element.dataset), ...options.format };
+
+    this.current = 0;
+    this.startTime = null;
+    this.animationId = null;
+    this.hasAnimated = false;
+  }
+
+  easeOutExpo(t) {
+    return t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
+  }
+
+  easeOutCubic(t) {
+    return 1 - Math.pow(1 - t, 3);
+  }
+
+  formatNumber(num) {
+    return format.number(num, {
+      minimumFractionDigits: this.decimals,
+      maximumFractionDigits: this.decimals,
+      useGrouping: this.separator,
+      ...this.formatOptions
+    });
+  }
+
+  animate(timestamp) {
+    if (!this.startTime) {
+      this.startTime = timestamp;
+    }
+
+    const elapsed = timestamp - this.startTime;
+    const progress = Math.min(elapsed / this.duration, 1);
+    const easedProgress = this.easing(progress);
+
+    this.current = easedProgress * this.target;
+    this.element.textContent = this.prefix + this.formatNumber(this.current) + this.suffix;
+
+    if (progress < 1) {
+      this.animationId = requestAnimationFrame((t) => this.animate(t));
+    } else {
+      this.finish();
+    }
+  }
+
+  start() {
+    if (this.hasAnimated) return;
+
+    // Jump straight to the final value when motion is reduced
+    if (motion.isReduced()) {
+      this.finish();
+      return;
+    }
+
+    this.startTime = null;
+    this.current = 0;
+    this.animationId = requestAnimationFrame((t) => this.animate(t));
+  }
+
+  stop() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  finish() {
+    this.stop();
+    this.current = this.target;
+    this.element.textContent = this.prefix + this.formatNumber(this.target) + this.suffix;
+    this.hasAnimated = true;
+  }
+
+  reset() {
+    this.stop();
+    this.current = 0;
+    this.startTime = null;
+    this.hasAnimated = false;
+    this.element.textContent = this.prefix + '0' + this.suffix;
+  }
+}
+
+// Stats counter with live updates (simulated)
+export class LiveCounter {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.baseValue = parseFloat(element.dataset.baseValue) || 0;
+    this.increment = parseFloat(element.dataset.increment) || 1;
+    this.interval = parseInt(element.dataset.interval) || 5000;
+    this.prefix = element.dataset.prefix || '';
+    this.suffix = element.dataset.suffix || '';
+    this.maxVariation = parseFloat(element.dataset.variation) || 0;
+    this.formatOptions = format.optionsFromDataset(element.dataset);
+
+    this.currentValue = this.baseValue;
+    this.intervalId = null;
+  }
+
+  formatNumber(num) {
+    return format.compact(num, this.formatOptions);
+  }
+
+  update() {
+    // Add some randomness
+    const variation = this.maxVariation ? (Math.random() - 0.5) * 2 * this.maxVariation : 0;
+    this.currentValue += this.increment + variation;
+
+    // Animate the update
+    this.element.classList.add('counter-updating');
+    this.element.textContent = this.prefix + this.formatNumber(Math.round(this.currentValue)) + this.suffix;
+
+    setTimeout(() => {
+      this.element.classList.remove('counter-updating');
+    }, 300);
+  }
+
+  start() {
+    this.element.textContent = this.prefix + this.formatNumber(Math.round(this.currentValue)) + this.suffix;
+    this.intervalId = setInterval(() => this.update(), this.interval);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * RustPress Enterprise Theme - Components
+ * The theme's interactive components as ES modules. Importing them has no
+ * side effects; the entries in assets/js mount them on the theme's markup.
+ *
+ * Usage:
+ *   import { FormValidator, Slider } from 'rustpress-enterprise-theme';
+ */
+
+export { FormValidator, validators, submitToAPI } from './forms.js';
+export { Lightbox, Gallery, Slider } from './gallery.js';
+export { Counter, LiveCounter } from './counters.js';
+export { ParticleSystem } from './particles.js';
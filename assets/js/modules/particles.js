@@ -0,0 +1,271 @@
+/**
+ * RustPress Enterprise Theme - Particles (module)
+ * Canvas-based particle animation, without auto-initialisation.
+ * assets/js/particles.js mounts it on the hero and CTA canvases. With reduced
+ * motion the canvas holds a still frame.
+ *
+ * Usage:
+ *   import { ParticleSystem } from './modules/particles.js';
+ *   const particles = new ParticleSystem(canvas, { particleCount: 40 });
+ *   particles.destroy();
+ */
+
+import { color, motion } from './services.js';
+
+export class ParticleSystem {
+  constructor(canvas, options = {}) {
+    // Accepts the canvas element or its id
+    this.canvas = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
+    if (!this.canvas) return;
+
+    this.ctx = this.canvas.getContext('2d');
+    this.particles = [];
+    this.animationId = null;
+    this.isRunning = false;
+    this.isVisible = true;
+    this.isFrozen = motion.isReduced();
+    this.controller = new AbortController();
+    this.observer = null;
+    this.unsubscribeMotion = null;
+
+    // Default options
+    this.options = {
+      particleCount: options.particleCount || 80,
+      particleColor: options.particleColor || color('primary', 0.6),
+      lineColor: options.lineColor || color('primary', 0.15),
+      particleRadius: options.particleRadius || 2,
+      lineDistance: options.lineDistance || 150,
+      speed: options.speed || 0.5,
+      mouseInteraction: options.mouseInteraction !== false,
+      mouseRadius: options.mouseRadius || 200,
+      ...options
+    };
+
+    this.mouse = {
+      x: null,
+      y: null,
+      radius: this.options.mouseRadius
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.resize();
+    this.createParticles();
+    this.bindEvents();
+    this.start();
+  }
+
+  resize() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    this.canvas.width = rect.width;
+    this.canvas.height = rect.height;
+  }
+
+  createParticles() {
+    this.particles = [];
+    for (let i = 0; i < this.options.particleCount; i++) {
+      this.particles.push(new Particle(this));
+    }
+  }
+
+  bindEvents() {
+    const { signal } = this.controller;
+
+    // Resize handler
+    let resizeTimeout;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(() => {
+        this.resize();
+        this.createParticles();
+        if (this.isFrozen) this.draw();
+      }, 200);
+    }, { signal });
+
+    // Mouse interaction
+    if (this.options.mouseInteraction) {
+      this.canvas.addEventListener('mousemove', (e) => {
+        const rect = this.canvas.getBoundingClientRect();
+        this.mouse.x = e.clientX - rect.left;
+        this.mouse.y = e.clientY - rect.top;
+      }, { signal });
+
+      this.canvas.addEventListener('mouseleave', () => {
+        this.mouse.x = null;
+        this.mouse.y = null;
+      }, { signal });
+    }
+
+    // Visibility change - pause when not visible
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    }, { signal });
+
+    // Intersection Observer - only animate when visible
+    this.observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        this.isVisible = entry.isIntersecting;
+        if (entry.isIntersecting) {
+          this.start();
+        } else {
+          this.stop();
+        }
+      });
+    }, { threshold: 0.1 });
+
+    this.observer.observe(this.canvas);
+
+    // Freeze and thaw with the motion policy
+    this.unsubscribeMotion = motion.onChange((reduced) => {
+      this.isFrozen = reduced;
+      if (reduced) {
+        this.stop();
+        this.draw();
+      } else if (this.isVisible && !document.hidden) {
+        this.start();
+      }
+    });
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    // A still frame instead of the loop
+    if (this.isFrozen) {
+      this.draw();
+      return;
+    }
+
+    this.isRunning = true;
+    this.animate();
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.controller?.abort();
+    this.observer?.disconnect();
+    this.unsubscribeMotion?.();
+  }
+
+  animate() {
+    if (!this.isRunning) return;
+
+    // Update particles
+    this.particles.forEach(particle => particle.update());
+    this.draw();
+
+    this.animationId = requestAnimationFrame(() => this.animate());
+  }
+
+  draw() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // Draw particles and their connections
+    this.particles.forEach(particle => particle.draw());
+    this.connectParticles();
+  }
+
+  connectParticles() {
+    for (let i = 0; i < this.particles.length; i++) {
+      for (let j = i + 1; j < this.particles.length; j++) {
+        const dx = this.particles[i].x - this.particles[j].x;
+        const dy = this.particles[i].y - this.particles[j].y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance < this.options.lineDistance) {
+          const opacity = 1 - (distance / this.options.lineDistance);
+          this.ctx.beginPath();
+          this.ctx.strokeStyle = this.options.lineColor.replace(/[\d.]+\)$/, opacity * 0.8 + ')');
+          this.ctx.lineWidth = this.options.lineWidth || 1.5;
+          this.ctx.moveTo(this.particles[i].x, this.particles[i].y);
+          this.ctx.lineTo(this.particles[j].x, this.particles[j].y);
+          this.ctx.stroke();
+        }
+      }
+    }
+  }
+}
+
+export class Particle {
+  constructor(system) {
+    this.system = system;
+    this.canvas = system.canvas;
+    this.ctx = system.ctx;
+    this.options = system.options;
+
+    this.x = Math.random() * this.canvas.width;
+    this.y = Math.random() * this.canvas.height;
+    this.vx = (Math.random() - 0.5) * this.options.speed;
+    this.vy = (Math.random() - 0.5) * this.options.speed;
+    this.radius = Math.random() * this.options.particleRadius + 1;
+    this.originalRadius = this.radius;
+  }
+
+  update() {
+    // Mouse interaction
+    if (this.system.mouse.x !== null && this.options.mouseInteraction) {
+      const dx = this.x - this.system.mouse.x;
+      const dy = this.y - this.system.mouse.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance < this.system.mouse.radius) {
+        const force = (this.system.mouse.radius - distance) / this.system.mouse.radius;
+        const angle = Math.atan2(dy, dx);
+        this.vx += Math.cos(angle) * force * 0.5;
+        this.vy += Math.sin(angle) * force * 0.5;
+        this.radius = this.originalRadius * (1 + force);
+      } else {
+        this.radius = this.originalRadius;
+      }
+    }
+
+    // Apply velocity with damping
+    this.x += this.vx;
+    this.y += this.vy;
+    this.vx *= 0.99;
+    this.vy *= 0.99;
+
+    // Re-add some random velocity
+    this.vx += (Math.random() - 0.5) * 0.1;
+    this.vy += (Math.random() - 0.5) * 0.1;
+
+    // Clamp velocity
+    const maxSpeed = this.options.speed * 2;
+    this.vx = Math.max(-maxSpeed, Math.min(maxSpeed, this.vx));
+    this.vy = Math.max(-maxSpeed, Math.min(maxSpeed, this.vy));
+
+    // Boundary collision
+    if (this.x < 0 || this.x > this.canvas.width) {
+      this.vx *= -1;
+      this.x = Math.max(0, Math.min(this.canvas.width, this.x));
+    }
+    if (this.y < 0 || this.y > this.canvas.height) {
+      this.vy *= -1;
+      this.y = Math.max(0, Math.min(this.canvas.height, this.y));
+    }
+  }
+
+  draw() {
+    // Only draw particles if showParticles is true
+    if (this.options.showParticles !== false) {
+      this.ctx.beginPath();
+      this.ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+      this.ctx.fillStyle = this.options.particleColor;
+      this.ctx.fill();
+    }
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * RustPress Enterprise Theme - Module Services
+ * What the component modules use from the theme runtime. With the theme
+ * scripts on the page these are RustPress.i18n, hooks, motion, format and
+ * config, looked up on every call so import order does not matter. Bundles
+ * that import the components on their own get English messages, no hooks,
+ * the OS reduced-motion setting and plain Intl formatting instead.
+ */
+
+// English messages for the exported classes; assets/js/i18n.js has the full catalog
+const MESSAGES = {
+  'forms.validation.required': 'This field is required',
+  'forms.validation.email': 'Please enter a valid email address',
+  'forms.validation.minLength': {
+    one: 'Must be at least {count} character',
+    other: 'Must be at least {count} characters'
+  },
+  'forms.validation.maxLength': {
+    one: 'Must be no more than {count} character',
+    other: 'Must be no more than {count} characters'
+  },
+  'forms.validation.phone': 'Please enter a valid phone number',
+  'forms.validation.url': 'Please enter a valid URL',
+  'forms.validation.match': 'Fields do not match',
+  'forms.submitted': 'Submitted successfully!',
+  'forms.submitFailed': 'Submission failed',
+  'forms.error': 'An error occurred. Please try again.',
+  'gallery.close': 'Close',
+  'gallery.previous': 'Previous',
+  'gallery.next': 'Next',
+  'gallery.counter': '{index} / {total}'
+};
+
+// theme.json "customizable" colors as RGB, for color() without the theme
+const DEFAULT_COLORS = {
+  primary: [206, 66, 43],
+  secondary: [184, 115, 51],
+  accent: [233, 116, 81]
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+function runtime() {
+  return (typeof window !== 'undefined' && window.RustPress) || {};
+}
+
+/**
+ * Translate a message key, as RustPress.i18n.t()
+ */
+export function t(key, params = {}) {
+  const { i18n } = runtime();
+  if (i18n) return i18n.t(key, params);
+
+  let message = MESSAGES[key];
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules('en').select(Number(params.count))] || message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export const hooks = {
+  applyFilters(name, value, ...args) {
+    const { hooks: theme } = runtime();
+    return theme ? theme.applyFilters(name, value, ...args) : value;
+  },
+
+  doAction(name, ...args) {
+    const { hooks: theme } = runtime();
+    if (theme) theme.doAction(name, ...args);
+  }
+};
+
+function reducedMotionQuery() {
+  return typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+}
+
+export const motion = {
+  isReduced() {
+    const { motion: theme } = runtime();
+    if (theme) return theme.isReduced();
+
+    return Boolean(reducedMotionQuery()?.matches);
+  },
+
+  /**
+   * Returns an unsubscribe function
+   */
+  onChange(callback) {
+    const { motion: theme } = runtime();
+    if (theme) return theme.onChange(callback);
+
+    const query = reducedMotionQuery();
+    if (!query || !query.addEventListener) return () => {};
+
+    const listener = (e) => callback(e.matches);
+    query.addEventListener('change', listener);
+    return () => query.removeEventListener('change', listener);
+  }
+};
+
+export const format = {
+  number(value, options = {}) {
+    const { format: theme } = runtime();
+    if (theme) return theme.number(value, options);
+
+    const { locale = document.documentElement.lang || 'en', ...rest } = options;
+    try {
+      return new Intl.NumberFormat(locale, rest).format(value);
+    } catch {
+      return new Intl.NumberFormat('en').format(value);
+    }
+  },
+
+  compact(value, options = {}) {
+    const { format: theme } = runtime();
+    if (theme) return theme.compact(value, options);
+
+    return format.number(value, { notation: 'compact', maximumFractionDigits: 1, ...options });
+  },
+
+  /**
+   * Intl options from data-notation, data-style, data-currency and data-unit
+   */
+  optionsFromDataset(dataset) {
+    const { format: theme } = runtime();
+    if (theme) return theme.optionsFromDataset(dataset);
+
+    const options = {};
+
+    if (dataset.notation) options.notation = dataset.notation;
+    if (dataset.style) options.style = dataset.style;
+    if (options.style === 'currency') options.currency = (dataset.currency || DEFAULT_CURRENCY).toUpperCase();
+    if (options.style === 'unit' && dataset.unit) options.unit = dataset.unit;
+
+    return options;
+  }
+};
+
+/**
+ * Brand color, as RustPress.config.color(); an rgba() string when an alpha is given
+ */
+export function color(name, alpha) {
+  const { config } = runtime();
+  if (config) return config.color(name, alpha);
+
+  const [r, g, b] = DEFAULT_COLORS[name] || DEFAULT_COLORS.primary;
+  return alpha === undefined ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
@@ -0,0 +1,180 @@
+/**
+ * RustPress Enterprise Theme - Motion
+ * One motion policy for every animation module. Motion is reduced when
+ * features.animations is off in theme.json, when the visitor chose "reduce"
+ * with the site's toggle, or when they left it on "system" and the OS asks
+ * for reduced motion.
+ *
+ * The initial data-motion attribute is applied by the inline bootstrap in
+ * base.html before first paint; this script keeps it in sync with the OS
+ * setting, the theme settings and other tabs.
+ *
+ * Usage:
+ *   if (RustPress.motion.isReduced()) { showEndState(); }
+ *   RustPress.motion.onChange((reduced) => { ... })   // returns an unsubscribe function
+ *   RustPress.motion.setPreference('reduce')          // 'system' | 'reduce' | 'full'
+ *   RustPress.motion.toggle()                         // what [data-motion-toggle] buttons do
+ *
+ * Hooks:
+ *   motion.change (reduced)   when the policy flips
+ */
+
+(function() {
+  'use strict';
+
+  const { components, config, hooks } = window.RustPress;
+
+  const STORAGE_KEY = 'rustpress-motion';
+  const PREFERENCES = ['system', 'reduce', 'full'];
+
+  const root = document.documentElement;
+  const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const listeners = new Set();
+
+  let preference = readPreference();
+  let reduced = resolve();
+
+  /**
+   * Stored preference, falling back to system when unset or unavailable
+   */
+  function readPreference() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return PREFERENCES.includes(stored) ? stored : 'system';
+    } catch {
+      return 'system';
+    }
+  }
+
+  function storePreference(value) {
+    try {
+      if (value === 'system') {
+        localStorage.removeItem(STORAGE_KEY);
+      } else {
+        localStorage.setItem(STORAGE_KEY, value);
+      }
+    } catch {
+      // Storage may be disabled (private mode); the choice lasts for this page only
+    }
+  }
+
+  function resolve() {
+    if (!config.isEnabled('animations')) return true;
+    if (preference === 'system') return mediaQuery.matches;
+    return preference === 'reduce';
+  }
+
+  function isReduced() {
+    return reduced;
+  }
+
+  /**
+   * Re-resolve and tell subscribers when the answer changed
+   */
+  function update() {
+    const previous = reduced;
+    reduced = resolve();
+
+    root.setAttribute('data-motion', reduced ? 'reduce' : 'full');
+    updateToggles();
+
+    if (reduced === previous) return;
+
+    listeners.forEach(callback => {
+      try {
+        callback(reduced);
+      } catch (error) {
+        console.error('Motion listener failed:', error);
+      }
+    });
+
+    hooks.doAction('motion.change', reduced);
+  }
+
+  function setPreference(value) {
+    if (!PREFERENCES.includes(value)) {
+      console.warn('Unknown motion preference:', value);
+      return;
+    }
+
+    preference = value;
+    storePreference(value);
+    update();
+  }
+
+  /**
+   * Flip between reduced and full motion; landing on what the OS asks for
+   * goes back to "system" so later OS changes apply again
+   */
+  function toggle() {
+    const next = reduced ? 'full' : 'reduce';
+    const system = mediaQuery.matches ? 'reduce' : 'full';
+    setPreference(next === system ? 'system' : next);
+  }
+
+  function onChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  }
+
+  /**
+   * Toggle buttons
+   */
+  function mountToggle(button) {
+    button.addEventListener('click', toggle);
+    updateToggle(button);
+
+    return () => {
+      button.removeEventListener('click', toggle);
+      button.hidden = false;
+    };
+  }
+
+  function updateToggle(button) {
+    // Nothing to toggle while the theme has animations turned off
+    button.hidden = !config.isEnabled('animations');
+    button.setAttribute('aria-pressed', String(reduced));
+  }
+
+  function updateToggles() {
+    document.querySelectorAll('[data-motion-toggle]').forEach(updateToggle);
+  }
+
+  components.register('motion-toggle', { selector: '[data-motion-toggle]', mount: mountToggle });
+
+  // The OS setting, live
+  if (mediaQuery.addEventListener) {
+    mediaQuery.addEventListener('change', update);
+  } else {
+    // Fallback for older Safari
+    mediaQuery.addListener(update);
+  }
+
+  // Other tabs
+  window.addEventListener('storage', (e) => {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+
+    preference = readPreference();
+    update();
+  });
+
+  // features.animations from the customizer live preview
+  document.addEventListener('themesettingschange', (e) => {
+    if (e.detail.changes.features && 'animations' in e.detail.changes.features) {
+      update();
+    }
+  });
+
+  root.setAttribute('data-motion', reduced ? 'reduce' : 'full');
+
+  // Expose for other modules
+  window.RustPress.motion = {
+    PREFERENCES,
+    isReduced,
+    getPreference: () => preference,
+    setPreference,
+    toggle,
+    onChange
+  };
+
+})();
@@ -6,39 +6,77 @@
 (function() {
   'use strict';
 
-  document.addEventListener('DOMContentLoaded', init);
+  const { components, hooks, i18n } = window.RustPress;
 
-  function init() {
-    initHeader();
-    initMobileMenu();
-    initDropdowns();
-    initMobileAccordions();
-  }
+  components.register('site-header', { selector: '#site-header', mount: mountHeader });
+  components.register('announcement-bar', { selector: '[data-announcement]', mount: mountAnnouncement });
+  components.register('mobile-menu', { selector: '#mobile-menu', mount: mountMobileMenu });
+  components.register('nav-dropdown', { selector: '.nav-dropdown', mount: mountDropdown });
+  components.register('mobile-accordion', { selector: '.mobile-nav-toggle', mount: mountMobileAccordion });
+  components.register('current-links', { selector: '.main-nav, .mobile-nav, .footer-links', mount: mountCurrentLinks });
+  components.register('breadcrumbs', { selector: '[data-breadcrumbs]', mount: mountBreadcrumbs });
 
   /**
    * Header Scroll Effects
+   * Configured on #site-header:
+   *   data-behavior="hide-on-scroll|sticky|static"   (default hide-on-scroll)
+   *   data-scrolled-threshold="50"                   px before .scrolled
+   *   data-hide-threshold="200"                      px before hiding on scroll down
+   *
+   * The header stays visible during programmatic scrolls (scroll.start, fired
+   * by main.js for anchor jumps), while a dropdown is open and while keyboard
+   * focus is inside it.
    */
-  function initHeader() {
-    const header = document.getElementById('site-header');
-    if (!header) return;
+  const HEADER_BEHAVIORS = ['hide-on-scroll', 'sticky', 'static'];
+  const SCROLL_IDLE_DELAY = 150;
+
+  let headerBehavior = 'hide-on-scroll';
+
+  function mountHeader(header) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const { dataset } = header;
+
+    headerBehavior = HEADER_BEHAVIORS.includes(dataset.behavior) ? dataset.behavior : 'hide-on-scroll';
+    const thresholds = hooks.applyFilters('navigation.header.thresholds', {
+      scrolled: parseInt(dataset.scrolledThreshold) || 50,
+      hide: parseInt(dataset.hideThreshold) || 200
+    }, header);
 
     let lastScrollY = window.scrollY;
     let ticking = false;
+    let programmatic = false;
+    let idleTimer = null;
+
+    header.classList.add(`site-header--${headerBehavior}`);
+
+    function hasKeyboardFocus() {
+      const active = document.activeElement;
+      if (!active || !header.contains(active)) return false;
+      try {
+        return active.matches(':focus-visible');
+      } catch {
+        return true;
+      }
+    }
+
+    function canHide() {
+      return headerBehavior === 'hide-on-scroll'
+        && !programmatic
+        && !(openDropdown && header.contains(openDropdown.dropdown))
+        && !hasKeyboardFocus();
+    }
 
     function updateHeader() {
       const scrollY = window.scrollY;
 
       // Add scrolled class
-      if (scrollY > 50) {
-        header.classList.add('scrolled');
-      } else {
-        header.classList.remove('scrolled');
-      }
+      header.classList.toggle('scrolled', scrollY > thresholds.scrolled);
 
-      // Hide/show on scroll direction (optional)
-      if (scrollY > lastScrollY && scrollY > 200) {
-        header.classList.add('header-hidden');
-      } else {
+      // Hide on scroll down, show on scroll up
+      if (scrollY > lastScrollY && scrollY > thresholds.hide) {
+        if (canHide()) header.classList.add('header-hidden');
+      } else if (scrollY < lastScrollY || scrollY <= thresholds.hide) {
         header.classList.remove('header-hidden');
       }
 
@@ -46,153 +84,906 @@
       ticking = false;
     }
 
+    function endProgrammaticScroll() {
+      clearTimeout(idleTimer);
+      programmatic = false;
+      lastScrollY = window.scrollY;
+    }
+
+    // Programmatic scrolls end with scrollend, or once scroll events stop
+    // (the first wait is longer, as smooth scrolling can take a frame to start)
+    function onScrollStart() {
+      programmatic = true;
+      header.classList.remove('header-hidden');
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(endProgrammaticScroll, SCROLL_IDLE_DELAY * 4);
+    }
+
     window.addEventListener('scroll', () => {
+      // Fallback for browsers without scrollend
+      if (programmatic) {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(endProgrammaticScroll, SCROLL_IDLE_DELAY);
+      }
+
       if (!ticking) {
         requestAnimationFrame(updateHeader);
         ticking = true;
       }
-    }, { passive: true });
+    }, { passive: true, signal });
+
+    window.addEventListener('scrollend', () => {
+      if (programmatic) endProgrammaticScroll();
+    }, { signal });
+
+    // Tabbing into a hidden header brings it back
+    header.addEventListener('focusin', () => {
+      if (hasKeyboardFocus()) header.classList.remove('header-hidden');
+    }, { signal });
+
+    hooks.addAction('scroll.start', onScrollStart);
 
     updateHeader();
+
+    return () => {
+      controller.abort();
+      clearTimeout(idleTimer);
+      hooks.removeAction('scroll.start', onScrollStart);
+      header.classList.remove('scrolled', 'header-hidden', `site-header--${headerBehavior}`);
+    };
+  }
+
+  /**
+   * Space the fixed header takes at the top of the viewport, for scroll offsets
+   */
+  function getHeaderOffset() {
+    const header = document.getElementById('site-header');
+    if (!header || headerBehavior === 'static') return 0;
+    return header.offsetHeight;
+  }
+
+  /**
+   * Announcement Bar
+   * Shown at the top of the header between data-starts and data-ends (ISO
+   * dates, both optional) until dismissed; dismissals are remembered per
+   * data-campaign. Its height is exposed as --announcement-height.
+   */
+  const ANNOUNCEMENT_STORAGE_KEY = 'rustpress-announcements-dismissed';
+  // setTimeout cannot wait longer than about 24 days
+  const MAX_TIMER_DELAY = 2147483647;
+
+  function getDismissedCampaigns() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(ANNOUNCEMENT_STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function dismissCampaign(campaign) {
+    try {
+      const dismissed = getDismissedCampaigns().filter(id => id !== campaign);
+      localStorage.setItem(ANNOUNCEMENT_STORAGE_KEY, JSON.stringify([...dismissed, campaign]));
+    } catch {
+      // Storage unavailable: dismissed for this page view only
+    }
+  }
+
+  function mountAnnouncement(bar) {
+    const controller = new AbortController();
+    const campaign = bar.dataset.campaign || 'default';
+    const starts = bar.dataset.starts ? Date.parse(bar.dataset.starts) : NaN;
+    const ends = bar.dataset.ends ? Date.parse(bar.dataset.ends) : NaN;
+    const timers = [];
+    let resizeObserver = null;
+
+    function updateHeight() {
+      const height = bar.hidden ? 0 : bar.offsetHeight;
+      document.documentElement.style.setProperty('--announcement-height', `${height}px`);
+    }
+
+    function setVisible(visible) {
+      if (bar.hidden === !visible) return;
+
+      bar.hidden = !visible;
+      updateHeight();
+      hooks.doAction('navigation.announcement.toggle', bar, visible);
+    }
+
+    function isScheduled(now = Date.now()) {
+      return !(now < starts) && !(now >= ends);
+    }
+
+    function schedule(time, callback) {
+      const delay = time - Date.now();
+      if (delay > 0 && delay <= MAX_TIMER_DELAY) {
+        timers.push(setTimeout(callback, delay));
+      }
+    }
+
+    if (getDismissedCampaigns().includes(campaign)) {
+      setVisible(false);
+      return null;
+    }
+
+    setVisible(isScheduled());
+    schedule(starts, () => setVisible(isScheduled()));
+    schedule(ends, () => setVisible(false));
+
+    bar.querySelectorAll('[data-announcement-dismiss]').forEach(button => {
+      button.addEventListener('click', () => {
+        dismissCampaign(campaign);
+        setVisible(false);
+        // Focus would otherwise be lost with the hidden button
+        document.querySelector('#site-header .header-inner')?.querySelector('a[href], button')?.focus({ preventScroll: true });
+      }, { signal: controller.signal });
+    });
+
+    if ('ResizeObserver' in window) {
+      resizeObserver = new ResizeObserver(updateHeight);
+      resizeObserver.observe(bar);
+    }
+
+    return () => {
+      controller.abort();
+      timers.forEach(clearTimeout);
+      resizeObserver?.disconnect();
+      document.documentElement.style.removeProperty('--announcement-height');
+    };
   }
 
   /**
-   * Mobile Menu Toggle
+   * Mobile Menu
+   * A modal drawer: focus moves into the panel and is kept there, the rest of
+   * the page is inert and hidden from assistive technology, and the page
+   * scroll position is kept while the body is locked (iOS ignores
+   * overflow: hidden). Closes on Escape, the backdrop, a swipe to the right,
+   * in-page anchors and instant navigation; focus returns to #menu-toggle.
    */
-  function initMobileMenu() {
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+  const SWIPE_CLOSE_DISTANCE = 80;
+
+  function mountMobileMenu(mobileMenu) {
     const menuToggle = document.getElementById('menu-toggle');
-    const mobileMenu = document.getElementById('mobile-menu');
-    const menuClose = document.getElementById('mobile-menu-close');
-    const backdrop = mobileMenu?.querySelector('.mobile-menu-backdrop');
+    const menuClose = mobileMenu.querySelector('#mobile-menu-close');
+    const backdrop = mobileMenu.querySelector('.mobile-menu-backdrop');
+    const panel = mobileMenu.querySelector('.mobile-menu-panel') || mobileMenu;
+
+    if (!menuToggle) return null;
 
-    if (!menuToggle || !mobileMenu) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    let hiddenElements = [];
+    let scrollLock = null;
+
+    function isOpen() {
+      return mobileMenu.classList.contains('active');
+    }
+
+    function getFocusable() {
+      return Array.from(panel.querySelectorAll(FOCUSABLE)).filter(el => el.getClientRects().length > 0);
+    }
 
     function openMenu() {
+      if (isOpen()) return;
+
       menuToggle.classList.add('active');
       menuToggle.setAttribute('aria-expanded', 'true');
       mobileMenu.classList.add('active');
       mobileMenu.setAttribute('aria-hidden', 'false');
-      document.body.style.overflow = 'hidden';
+
+      scrollLock = lockScroll();
+      hiddenElements = hideBackground(mobileMenu);
+      (menuClose || getFocusable()[0] || panel).focus({ preventScroll: true });
+
+      hooks.doAction('navigation.mobileMenu.open', mobileMenu);
     }
 
-    function closeMenu() {
+    function closeMenu({ restoreFocus = true } = {}) {
+      if (!isOpen()) return;
+
       menuToggle.classList.remove('active');
       menuToggle.setAttribute('aria-expanded', 'false');
       mobileMenu.classList.remove('active');
       mobileMenu.setAttribute('aria-hidden', 'true');
-      document.body.style.overflow = '';
+
+      showBackground(hiddenElements);
+      hiddenElements = [];
+      unlockScroll(scrollLock);
+      scrollLock = null;
+
+      if (restoreFocus) {
+        menuToggle.focus({ preventScroll: true });
+      }
+
+      hooks.doAction('navigation.mobileMenu.close', mobileMenu);
     }
 
     menuToggle.addEventListener('click', () => {
-      if (mobileMenu.classList.contains('active')) {
+      if (isOpen()) {
         closeMenu();
       } else {
         openMenu();
       }
-    });
+    }, { signal });
 
     if (menuClose) {
-      menuClose.addEventListener('click', closeMenu);
+      menuClose.addEventListener('click', () => closeMenu(), { signal });
     }
 
     if (backdrop) {
-      backdrop.addEventListener('click', closeMenu);
+      backdrop.addEventListener('click', () => closeMenu(), { signal });
     }
 
-    // Close on escape key
+    // Escape closes, Tab wraps within the panel
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && mobileMenu.classList.contains('active')) {
+      if (!isOpen()) return;
+
+      if (e.key === 'Escape') {
         closeMenu();
+        return;
       }
-    });
+
+      if (e.key !== 'Tab') return;
+
+      const focusable = getFocusable();
+      if (!focusable.length) {
+        e.preventDefault();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (!panel.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }, { signal });
+
+    // In-page anchors: unlock first so the jump lands where it should
+    mobileMenu.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href]');
+      if (!link || !link.hash) return;
+      if (link.origin !== location.origin || link.pathname !== location.pathname || link.search !== location.search) return;
+
+      closeMenu({ restoreFocus: false });
+    }, { signal });
+
+    // Swipe towards the edge the panel slides in from
+    let touchStart = null;
+
+    panel.addEventListener('touchstart', (e) => {
+      if (e.touches.length !== 1) return;
+      touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY, swiping: null };
+    }, { passive: true, signal });
+
+    panel.addEventListener('touchmove', (e) => {
+      if (!touchStart) return;
+
+      const dx = e.touches[0].clientX - touchStart.x;
+      const dy = e.touches[0].clientY - touchStart.y;
+
+      // Decide once whether this is a horizontal swipe or a vertical scroll
+      if (touchStart.swiping === null && Math.abs(dx) + Math.abs(dy) > 10) {
+        touchStart.swiping = Math.abs(dx) > Math.abs(dy);
+      }
+      if (!touchStart.swiping) return;
+
+      touchStart.dx = Math.max(0, dx);
+      panel.style.transition = 'none';
+      panel.style.transform = `translateX(${touchStart.dx}px)`;
+    }, { passive: true, signal });
+
+    function endSwipe() {
+      if (!touchStart) return;
+
+      const distance = touchStart.dx || 0;
+      touchStart = null;
+      panel.style.transition = '';
+      panel.style.transform = '';
+
+      if (distance > Math.min(SWIPE_CLOSE_DISTANCE, panel.offsetWidth / 3)) {
+        closeMenu();
+      }
+    }
+
+    panel.addEventListener('touchend', endSwipe, { signal });
+    panel.addEventListener('touchcancel', endSwipe, { signal });
 
     // Close on resize to desktop
     window.addEventListener('resize', () => {
-      if (window.innerWidth > 1024 && mobileMenu.classList.contains('active')) {
+      if (window.innerWidth > 1024 && isOpen()) {
         closeMenu();
       }
+    }, { signal });
+
+    // Instant navigation swaps the page underneath; transitions.js moves focus
+    const onNavigate = () => closeMenu({ restoreFocus: false });
+    hooks.addAction('transitions.before', onNavigate);
+
+    return () => {
+      controller.abort();
+      hooks.removeAction('transitions.before', onNavigate);
+      closeMenu({ restoreFocus: false });
+    };
+  }
+
+  /**
+   * Make everything outside el inert and hidden; returns what was changed
+   */
+  function hideBackground(el) {
+    const changed = [];
+
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      Array.from(node.parentElement.children).forEach(sibling => {
+        if (sibling === node || ['SCRIPT', 'STYLE', 'TEMPLATE', 'LINK'].includes(sibling.tagName)) return;
+        if (sibling.hasAttribute('inert')) return;
+
+        changed.push({ el: sibling, ariaHidden: sibling.getAttribute('aria-hidden') });
+        sibling.setAttribute('inert', '');
+        sibling.setAttribute('aria-hidden', 'true');
+      });
+    }
+
+    return changed;
+  }
+
+  function showBackground(changed) {
+    changed.forEach(({ el, ariaHidden }) => {
+      el.removeAttribute('inert');
+      if (ariaHidden === null) {
+        el.removeAttribute('aria-hidden');
+      } else {
+        el.setAttribute('aria-hidden', ariaHidden);
+      }
     });
   }
 
+  /**
+   * Fix the body in place, keeping the current scroll position
+   */
+  function lockScroll() {
+    const { style } = document.body;
+    const lock = {
+      scrollY: window.scrollY,
+      styles: { position: style.position, top: style.top, left: style.left, right: style.right, overflow: style.overflow }
+    };
+
+    Object.assign(style, { position: 'fixed', top: `-${lock.scrollY}px`, left: '0', right: '0', overflow: 'hidden' });
+    return lock;
+  }
+
+  function unlockScroll(lock) {
+    if (!lock) return;
+
+    Object.assign(document.body.style, lock.styles);
+    window.scrollTo({ top: lock.scrollY, behavior: 'instant' });
+  }
+
   /**
    * Desktop Dropdown Menus
+   * Disclosure navigation: the trigger button toggles its menu (click, tap,
+   * Enter/Space), ArrowDown/ArrowUp open it and move focus to the first/last
+   * item, and inside the menu ArrowUp/ArrowDown/Home/End move between items
+   * (ArrowLeft/ArrowRight between mega menu sections). Escape closes the
+   * menu and returns focus to the trigger.
+   *
+   * Mouse users open menus on hover. While the pointer moves diagonally
+   * towards the open menu ("menu aim"), crossing another trigger does not
+   * switch menus.
    */
-  function initDropdowns() {
-    const dropdowns = document.querySelectorAll('.nav-dropdown');
+  const DROPDOWN_CLOSE_DELAY = 150;
+  const DROPDOWN_AIM_DELAY = 300;
+  const DROPDOWN_AIM_TOLERANCE = 75;
+  const MENU_ITEMS = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
 
-    dropdowns.forEach(dropdown => {
-      const trigger = dropdown.querySelector('.nav-dropdown-trigger');
-      const menu = dropdown.querySelector('.dropdown-menu, .mega-menu');
+  const dropdowns = new Set();
+  const pointerTrail = [];
+  let pointerMoves = 0;
+  let openDropdown = null;
+  let dropdownListeners = null;
+  let dropdownCount = 0;
 
-      if (!trigger || !menu) return;
+  function mountDropdown(dropdown) {
+    const trigger = dropdown.querySelector('.nav-dropdown-trigger');
+    const menu = dropdown.querySelector('.dropdown-menu, .mega-menu');
 
-      let timeout;
+    if (!trigger || !menu) return null;
 
-      // Mouse enter
-      dropdown.addEventListener('mouseenter', () => {
-        clearTimeout(timeout);
-        trigger.setAttribute('aria-expanded', 'true');
-      });
+    const controller = new AbortController();
+    const { signal } = controller;
 
-      // Mouse leave with delay
-      dropdown.addEventListener('mouseleave', () => {
-        timeout = setTimeout(() => {
-          trigger.setAttribute('aria-expanded', 'false');
-        }, 150);
-      });
+    if (!menu.id) {
+      menu.id = `nav-dropdown-${++dropdownCount}`;
+    }
+    trigger.setAttribute('aria-controls', menu.id);
+    // Hover styles in sections.css are the fallback until this point
+    dropdown.classList.add('nav-dropdown-initialized');
+
+    const instance = {
+      dropdown,
+      trigger,
+      menu,
+      openedBy: null,
+      hovered: false,
+      timeout: null,
+      open,
+      close
+    };
+
+    function isOpen() {
+      return trigger.getAttribute('aria-expanded') === 'true';
+    }
 
-      // Keyboard navigation
-      trigger.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          const isExpanded = trigger.getAttribute('aria-expanded') === 'true';
-          trigger.setAttribute('aria-expanded', !isExpanded);
-        }
+    function open(source) {
+      clearTimeout(instance.timeout);
+      instance.openedBy = source;
 
-        if (e.key === 'Escape') {
-          trigger.setAttribute('aria-expanded', 'false');
-          trigger.focus();
+      if (openDropdown && openDropdown !== instance) {
+        openDropdown.close();
+      }
+      openDropdown = instance;
+
+      if (isOpen()) return;
+      trigger.setAttribute('aria-expanded', 'true');
+      hooks.doAction('navigation.dropdown.toggle', dropdown, true);
+    }
+
+    function close({ returnFocus = false } = {}) {
+      clearTimeout(instance.timeout);
+      instance.openedBy = null;
+
+      if (openDropdown === instance) {
+        openDropdown = null;
+      }
+      if (returnFocus) {
+        trigger.focus();
+      }
+
+      if (!isOpen()) return;
+      trigger.setAttribute('aria-expanded', 'false');
+      hooks.doAction('navigation.dropdown.toggle', dropdown, false);
+    }
+
+    function getItems() {
+      return Array.from(menu.querySelectorAll(MENU_ITEMS)).filter(item => item.getClientRects().length > 0);
+    }
+
+    function focusItem(index) {
+      const items = getItems();
+      if (!items.length) return;
+      items[(index + items.length) % items.length].focus();
+    }
+
+    function focusSection(current, step) {
+      const sections = Array.from(menu.querySelectorAll('.mega-menu-section'));
+      const index = sections.findIndex(section => section.contains(current));
+      const target = sections[index + step];
+      target?.querySelector(MENU_ITEMS)?.focus();
+    }
+
+    // Click, tap and Enter/Space (buttons fire click for both keys)
+    trigger.addEventListener('click', () => {
+      if (isOpen() && instance.openedBy === 'hover') {
+        // A click on a menu opened by hover keeps it open
+        instance.openedBy = 'click';
+      } else if (isOpen()) {
+        close();
+      } else {
+        open('click');
+      }
+    }, { signal });
+
+    trigger.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        open('keyboard');
+        focusItem(e.key === 'ArrowDown' ? 0 : -1);
+      }
+    }, { signal });
+
+    menu.addEventListener('keydown', (e) => {
+      const items = getItems();
+      const index = items.indexOf(document.activeElement);
+
+      switch (e.key) {
+        case 'ArrowDown':
+          focusItem(index + 1);
+          break;
+        case 'ArrowUp':
+          focusItem(index - 1);
+          break;
+        case 'Home':
+          focusItem(0);
+          break;
+        case 'End':
+          focusItem(-1);
+          break;
+        case 'ArrowRight':
+        case 'ArrowLeft':
+          if (!menu.classList.contains('mega-menu')) return;
+          focusSection(document.activeElement, e.key === 'ArrowRight' ? 1 : -1);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    }, { signal });
+
+    // Tabbing out of the dropdown closes it
+    dropdown.addEventListener('focusout', (e) => {
+      if (e.relatedTarget && !dropdown.contains(e.relatedTarget)) {
+        close();
+      }
+    }, { signal });
+
+    // Hover (mouse only: touch opens on tap)
+    dropdown.addEventListener('pointerenter', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      instance.hovered = true;
+      clearTimeout(instance.timeout);
+
+      if (openDropdown && openDropdown !== instance && isAimingAt(openDropdown.menu)) {
+        // Heading for the open menu: switch only if the pointer settles here
+        instance.timeout = setTimeout(() => {
+          if (instance.hovered) open('hover');
+        }, DROPDOWN_AIM_DELAY);
+        return;
+      }
+
+      if (!isOpen()) open('hover');
+    }, { signal });
+
+    dropdown.addEventListener('pointerleave', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      instance.hovered = false;
+      if (instance.openedBy !== 'hover') return;
+
+      let moves = pointerMoves;
+      const delay = isAimingAt(menu) ? DROPDOWN_AIM_DELAY : DROPDOWN_CLOSE_DELAY;
+      instance.timeout = setTimeout(function closeUnlessBack() {
+        if (instance.hovered) return;
+        // Still travelling towards the menu: check again shortly
+        if (pointerMoves !== moves && isAimingAt(menu)) {
+          moves = pointerMoves;
+          instance.timeout = setTimeout(closeUnlessBack, DROPDOWN_CLOSE_DELAY);
+          return;
         }
-      });
+        close();
+      }, delay);
+    }, { signal });
+
+    dropdowns.add(instance);
+    listenForDropdowns();
+
+    return () => {
+      controller.abort();
+      close();
+      dropdowns.delete(instance);
+      dropdown.classList.remove('nav-dropdown-initialized');
+      if (!dropdowns.size) stopListeningForDropdowns();
+    };
+  }
+
+  /**
+   * Document listeners shared by every dropdown
+   */
+  function listenForDropdowns() {
+    if (dropdownListeners) return;
+
+    dropdownListeners = new AbortController();
+    const { signal } = dropdownListeners;
 
-      // Close on click outside
-      document.addEventListener('click', (e) => {
-        if (!dropdown.contains(e.target)) {
-          trigger.setAttribute('aria-expanded', 'false');
+    document.addEventListener('click', (e) => {
+      if (openDropdown && !openDropdown.dropdown.contains(e.target)) {
+        openDropdown.close();
+      }
+    }, { signal });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !openDropdown) return;
+      openDropdown.close({ returnFocus: openDropdown.dropdown.contains(document.activeElement) });
+    }, { signal });
+
+    document.addEventListener('pointermove', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      pointerMoves++;
+      pointerTrail.push({ x: e.clientX, y: e.clientY });
+      if (pointerTrail.length > 3) pointerTrail.shift();
+    }, { passive: true, signal });
+  }
+
+  function stopListeningForDropdowns() {
+    dropdownListeners?.abort();
+    dropdownListeners = null;
+    pointerTrail.length = 0;
+  }
+
+  /**
+   * Whether the pointer is moving into the triangle between where it was a
+   * few moves ago and the top edge of the menu below it
+   */
+  function isAimingAt(menu) {
+    if (pointerTrail.length < 2) return false;
+
+    const from = pointerTrail[0];
+    const to = pointerTrail[pointerTrail.length - 1];
+    const rect = menu.getBoundingClientRect();
+
+    // Already over the menu, or moving away from it
+    if (to.y >= rect.top || to.y <= from.y) return false;
+
+    const left = { x: rect.left - DROPDOWN_AIM_TOLERANCE, y: rect.top };
+    const right = { x: rect.right + DROPDOWN_AIM_TOLERANCE, y: rect.top };
+
+    return isInTriangle(to, from, left, right);
+  }
+
+  function isInTriangle(point, a, b, c) {
+    const side = (p, q, r) => (p.x - r.x) * (q.y - r.y) - (q.x - r.x) * (p.y - r.y);
+    const d1 = side(point, a, b);
+    const d2 = side(point, b, c);
+    const d3 = side(point, c, a);
+    const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+    const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+
+    return !(hasNegative && hasPositive);
+  }
+
+  /**
+   * Mobile Menu Accordions
+   */
+  function mountMobileAccordion(toggle) {
+    const onClick = () => {
+      const group = toggle.closest('.mobile-nav-group');
+      const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+
+      // Close other groups
+      document.querySelectorAll('.mobile-nav-group.active').forEach(activeGroup => {
+        if (activeGroup !== group) {
+          activeGroup.classList.remove('active');
+          activeGroup.querySelector('.mobile-nav-toggle')?.setAttribute('aria-expanded', 'false');
         }
       });
-    });
+
+      // Toggle current group
+      if (isExpanded) {
+        group.classList.remove('active');
+        toggle.setAttribute('aria-expanded', 'false');
+      } else {
+        group.classList.add('active');
+        toggle.setAttribute('aria-expanded', 'true');
+      }
+
+      hooks.doAction('navigation.accordion.toggle', group, !isExpanded);
+    };
+
+    toggle.addEventListener('click', onClick);
+    return () => toggle.removeEventListener('click', onClick);
   }
 
   /**
-   * Mobile Menu Accordions
+   * Current Page Links
+   * Links to the current page get aria-current="page"; without one, the link
+   * to the closest parent section (/docs for /docs/install) gets
+   * aria-current="true". The owning dropdown trigger is marked .active and the
+   * owning mobile accordion is expanded. Re-run after instant navigation.
+   */
+  const MENU_SELECTORS = ['.main-nav', '.mobile-nav', '.footer-links'];
+
+  function normalizePath(pathname) {
+    const path = pathname.replace(/\/index\.html?$/, '/').replace(/\/+$/, '');
+    return path || '/';
+  }
+
+  /**
+   * Best match for the current path among links: { link, exact } or null
    */
-  function initMobileAccordions() {
-    const toggles = document.querySelectorAll('.mobile-nav-toggle');
-
-    toggles.forEach(toggle => {
-      toggle.addEventListener('click', () => {
-        const group = toggle.closest('.mobile-nav-group');
-        const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
-
-        // Close other groups
-        document.querySelectorAll('.mobile-nav-group.active').forEach(activeGroup => {
-          if (activeGroup !== group) {
-            activeGroup.classList.remove('active');
-            activeGroup.querySelector('.mobile-nav-toggle')?.setAttribute('aria-expanded', 'false');
-          }
-        });
-
-        // Toggle current group
-        if (isExpanded) {
-          group.classList.remove('active');
-          toggle.setAttribute('aria-expanded', 'false');
+  function findCurrentLink(links) {
+    const current = normalizePath(location.pathname);
+    let best = null;
+
+    links.forEach(link => {
+      if (link.hash || link.origin !== location.origin) return;
+      if (link.target && link.target !== '_self') return;
+
+      const path = normalizePath(link.pathname);
+      if (path === current) {
+        if (!best || !best.exact) best = { link, exact: true, length: path.length };
+      } else if (path !== '/' && current.startsWith(`${path}/`)) {
+        if (!best || (!best.exact && path.length > best.length)) best = { link, exact: false, length: path.length };
+      }
+    });
+
+    return best && { link: best.link, exact: best.exact };
+  }
+
+  function mountCurrentLinks(nav) {
+    let marked = [];
+
+    function clear() {
+      marked.forEach(({ el, attribute, value }) => {
+        if (attribute === 'class') {
+          el.classList.remove(value);
         } else {
-          group.classList.add('active');
-          toggle.setAttribute('aria-expanded', 'true');
+          el.removeAttribute(attribute);
         }
       });
+      marked = [];
+    }
+
+    function update() {
+      clear();
+
+      const match = findCurrentLink(Array.from(nav.querySelectorAll('a[href]')));
+      if (!match) return;
+
+      const { link, exact } = match;
+      link.setAttribute('aria-current', exact ? 'page' : 'true');
+      marked.push({ el: link, attribute: 'aria-current' });
+
+      const trigger = link.closest('.nav-dropdown')?.querySelector('.nav-dropdown-trigger');
+      if (trigger) {
+        trigger.classList.add('active');
+        marked.push({ el: trigger, attribute: 'class', value: 'active' });
+      }
+
+      // Expanded once; the visitor may collapse it again
+      const group = link.closest('.mobile-nav-group');
+      if (group && !group.classList.contains('active')) {
+        group.classList.add('active');
+        group.querySelector('.mobile-nav-toggle')?.setAttribute('aria-expanded', 'true');
+      }
+    }
+
+    update();
+    hooks.addAction('transitions.after', update);
+
+    return () => {
+      hooks.removeAction('transitions.after', update);
+      clear();
+    };
+  }
+
+  /**
+   * Breadcrumbs
+   * <nav class="breadcrumbs" data-breadcrumbs aria-label="Breadcrumb"> keeps a
+   * server-rendered <ol> trail, or gets one built from the menu path to the
+   * current page (Home / Ecosystem / Themes). data-home overrides the
+   * translated first crumb, and data-current names the last crumb when the
+   * page is not in a menu. Either way the trail is added to the head as
+   * BreadcrumbList JSON-LD.
+   */
+  function getLabel(el) {
+    return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  function getMenuTrail(nav) {
+    if (normalizePath(location.pathname) === '/') return [];
+
+    const currentName = nav.dataset.current || getLabel(document.querySelector('#main-content h1')) || document.title;
+    const trail = [nav.dataset.home
+      ? { name: nav.dataset.home, url: '/' }
+      : { name: i18n.t('breadcrumbs.home'), key: 'breadcrumbs.home', url: '/' }];
+
+    let match = null;
+    for (const selector of MENU_SELECTORS) {
+      match = findCurrentLink(Array.from(document.querySelectorAll(`${selector} a[href]`)));
+      if (match) break;
+    }
+
+    if (match) {
+      const trigger = match.link.closest('.nav-dropdown')?.querySelector('.nav-dropdown-trigger')
+        || match.link.closest('.mobile-nav-group')?.querySelector('.mobile-nav-toggle');
+      if (trigger) {
+        trail.push({ name: getLabel(trigger), url: null });
+      }
+      trail.push({ name: getLabel(match.link), url: match.link.pathname });
+    }
+
+    if (!match || !match.exact) {
+      trail.push({ name: currentName, url: location.pathname });
+    }
+
+    return trail;
+  }
+
+  function getRenderedTrail(list) {
+    return Array.from(list.children).map(item => {
+      const link = item.querySelector('a[href]');
+      return link
+        ? { name: getLabel(link), url: link.pathname }
+        : { name: getLabel(item), url: location.pathname };
     });
   }
 
+  function renderTrail(nav, trail) {
+    const list = document.createElement('ol');
+
+    trail.forEach((crumb, index) => {
+      const item = document.createElement('li');
+      const isLast = index === trail.length - 1;
+
+      if (isLast || !crumb.url) {
+        const label = document.createElement('span');
+        label.textContent = crumb.name;
+        if (isLast) label.setAttribute('aria-current', 'page');
+        item.appendChild(label);
+      } else {
+        const link = document.createElement('a');
+        link.href = crumb.url;
+        link.textContent = crumb.name;
+        if (crumb.key) link.dataset.i18n = crumb.key;
+        item.appendChild(link);
+      }
+
+      list.appendChild(item);
+    });
+
+    nav.replaceChildren(list);
+  }
+
+  function mountBreadcrumbs(nav) {
+    const rendered = nav.querySelector('ol');
+    const trail = rendered ? getRenderedTrail(rendered) : getMenuTrail(nav);
+
+    if (trail.length < 2) {
+      nav.hidden = true;
+      return () => { nav.hidden = false; };
+    }
+
+    if (!rendered) {
+      renderTrail(nav, trail);
+    }
+
+    // Crumbs without a page (menu groups) are left out of the structured data
+    const schema = document.createElement('script');
+    schema.type = 'application/ld+json';
+    schema.dataset.breadcrumbSchema = '';
+    const writeSchema = () => {
+      schema.textContent = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: trail
+          .filter(crumb => crumb.url)
+          .map((crumb, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name: crumb.name,
+            item: new URL(crumb.url, location.origin).href
+          }))
+      });
+    };
+    writeSchema();
+    document.head.appendChild(schema);
+
+    // Translated names arrive with the locale's catalog (the links relabel via data-i18n)
+    let isMounted = true;
+    i18n.ready.then(() => {
+      if (!isMounted || !trail.some(crumb => crumb.key)) return;
+      trail.forEach(crumb => {
+        if (crumb.key) crumb.name = i18n.t(crumb.key);
+      });
+      writeSchema();
+    });
+
+    return () => {
+      isMounted = false;
+      schema.remove();
+      if (!rendered) nav.replaceChildren();
+    };
+  }
+
+  // Expose for other modules
+  window.RustPress.header = {
+    getOffset: getHeaderOffset
+  };
+
 })();
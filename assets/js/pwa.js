@@ -0,0 +1,139 @@
+/**
+ * RustPress Enterprise Theme - PWA
+ * Registers the service worker rendered from templates/service-worker.js
+ * (features.offline in theme.json) and keeps the page informed about the
+ * connection. Turning the feature off unregisters the worker on the next visit.
+ *
+ * The offline page lists the docs and blog pages already cached, in any
+ * element marked data-offline-pages.
+ *
+ * Hooks:
+ *   pwa.connection (online)   when the browser goes online or offline
+ */
+
+(function() {
+  'use strict';
+
+  const { components, config, hooks } = window.RustPress;
+
+  // Same name as the runtime page cache in templates/service-worker.js
+  const PAGES_CACHE_PREFIX = 'rustpress-pages-';
+
+  const supported = 'serviceWorker' in navigator && window.isSecureContext;
+  const scriptUrl = new URL(config.get('pwa.serviceWorker', '/service-worker.js'), location.href).href;
+
+  /**
+   * Service worker
+   */
+  function register() {
+    if (!supported) return Promise.resolve(null);
+
+    return navigator.serviceWorker.register(scriptUrl, { scope: '/' })
+      .catch(error => {
+        console.warn('Service worker registration failed:', error);
+        return null;
+      });
+  }
+
+  async function unregister() {
+    if (!supported) return false;
+
+    const registrations = await navigator.serviceWorker.getRegistrations();
+    const ours = registrations.filter(registration => {
+      const worker = registration.active || registration.waiting || registration.installing;
+      return worker && worker.scriptURL === scriptUrl;
+    });
+
+    await Promise.all(ours.map(registration => registration.unregister()));
+    return ours.length > 0;
+  }
+
+  // Customizer preview frames must not install a worker for the whole site
+  if (supported && window.parent === window) {
+    window.addEventListener('load', () => {
+      if (config.isEnabled('offline')) {
+        register();
+      } else {
+        unregister().catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Connection status
+   */
+  function updateConnection() {
+    document.documentElement.classList.toggle('is-offline', !navigator.onLine);
+  }
+
+  window.addEventListener('online', () => {
+    updateConnection();
+    hooks.doAction('pwa.connection', true);
+  });
+  window.addEventListener('offline', () => {
+    updateConnection();
+    hooks.doAction('pwa.connection', false);
+  });
+  updateConnection();
+
+  /**
+   * Cached pages list for the offline page
+   */
+  async function getCachedPages() {
+    if (!('caches' in window)) return [];
+
+    const names = (await caches.keys()).filter(name => name.startsWith(PAGES_CACHE_PREFIX));
+    const pages = new Map();
+
+    for (const name of names) {
+      const cache = await caches.open(name);
+      for (const request of await cache.keys()) {
+        const url = new URL(request.url);
+        if (pages.has(url.pathname)) continue;
+
+        const response = await cache.match(request);
+        const html = response ? await response.text() : '';
+        const title = new DOMParser().parseFromString(html, 'text/html').title;
+        pages.set(url.pathname, { url: url.pathname, title: title || url.pathname });
+      }
+    }
+
+    return Array.from(pages.values()).sort((a, b) => a.url.localeCompare(b.url));
+  }
+
+  function mountOfflinePages(container) {
+    let cancelled = false;
+
+    getCachedPages()
+      .then(pages => {
+        if (cancelled || !pages.length) return;
+
+        const list = document.createElement('ul');
+        list.className = 'offline-pages__list';
+        pages.forEach(page => {
+          const item = document.createElement('li');
+          const link = document.createElement('a');
+          link.href = page.url;
+          link.textContent = page.title;
+          item.appendChild(link);
+          list.appendChild(item);
+        });
+
+        container.replaceChildren(list);
+      })
+      .catch(error => console.warn('Could not list cached pages:', error));
+
+    return () => { cancelled = true; };
+  }
+
+  components.register('offline-pages', { selector: '[data-offline-pages]', mount: mountOfflinePages });
+
+  // Expose for other modules
+  window.RustPress.pwa = {
+    supported,
+    register,
+    unregister,
+    getCachedPages
+  };
+
+})();
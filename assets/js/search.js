@@ -0,0 +1,438 @@
+/**
+ * RustPress Enterprise Theme - Live Search
+ * Enhances the search form on templates/search.html ([data-live-search]) to
+ * query settings.search.endpoint as you type. Without JavaScript the form
+ * submits to /search as before, facets included.
+ *
+ * The endpoint takes the form fields (q, type, category, date) and returns
+ *   { results: [{ title, url, type, category: { slug, name }, date, excerpt, featured_image }],
+ *     total, page, pages, facets: { types: [{ value, label }], categories: [{ slug, name }] } }
+ *
+ * Typing replaces the current history entry; submitting or changing a facet
+ * adds one, so back/forward step through searches.
+ *
+ * Hooks:
+ *   search.results (data, params)   after live results have rendered
+ */
+
+(function() {
+  'use strict';
+
+  const { components, config, hooks, i18n } = window.RustPress;
+
+  const DEBOUNCE_DELAY = 250;
+  const MIN_QUERY_LENGTH = 2;
+
+  /**
+   * Highlighting
+   */
+  function getTerms(query) {
+    return Array.from(new Set(query.toLowerCase().split(/\s+/).filter(term => term.length >= MIN_QUERY_LENGTH)));
+  }
+
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Wraps matches of terms in <mark>, leaving the element's other markup alone
+  function highlight(el, terms) {
+    el.querySelectorAll('mark[data-search-mark]').forEach(mark => mark.replaceWith(...mark.childNodes));
+    el.normalize();
+    if (!terms.length) return;
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach(node => {
+      const parts = node.textContent.split(pattern);
+      if (parts.length < 2) return;
+
+      const fragment = document.createDocumentFragment();
+      parts.forEach((part, i) => {
+        if (!part) return;
+        // split() with a capture group puts the matches at odd indexes
+        if (i % 2) {
+          const mark = document.createElement('mark');
+          mark.dataset.searchMark = '';
+          mark.textContent = part;
+          fragment.appendChild(mark);
+        } else {
+          fragment.appendChild(document.createTextNode(part));
+        }
+      });
+      node.replaceWith(fragment);
+    });
+  }
+
+  /**
+   * Result markup, matching templates/search.html
+   */
+  function createResult(result) {
+    const card = document.createElement('article');
+    card.className = 'result-card';
+
+    if (result.featured_image) {
+      const imageLink = document.createElement('a');
+      imageLink.href = result.url;
+      imageLink.className = 'result-image';
+      const img = document.createElement('img');
+      img.src = result.featured_image;
+      img.alt = result.title;
+      img.loading = 'lazy';
+      imageLink.appendChild(img);
+      card.appendChild(imageLink);
+    }
+
+    const content = document.createElement('div');
+    content.className = 'result-content';
+
+    const meta = document.createElement('div');
+    meta.className = 'result-meta';
+    if (result.type) {
+      const type = document.createElement('span');
+      type.className = 'result-type';
+      type.textContent = result.type;
+      meta.appendChild(type);
+    }
+    if (result.category) {
+      const category = document.createElement('a');
+      category.href = `/category/${encodeURIComponent(result.category.slug)}`;
+      category.className = 'result-category';
+      category.textContent = result.category.name;
+      meta.appendChild(category);
+    }
+    if (result.date) {
+      const { format } = window.RustPress;
+      const formatted = format ? format.date(result.date, { month: 'short', day: '2-digit', year: 'numeric' }) : '';
+      if (formatted) {
+        const time = document.createElement('time');
+        time.dateTime = String(result.date).slice(0, 10);
+        time.textContent = formatted;
+        meta.appendChild(time);
+      }
+    }
+    content.appendChild(meta);
+
+    const title = document.createElement('h2');
+    title.className = 'result-title';
+    const titleLink = document.createElement('a');
+    titleLink.href = result.url;
+    titleLink.textContent = result.title;
+    title.appendChild(titleLink);
+    content.appendChild(title);
+
+    if (result.excerpt) {
+      const excerpt = document.createElement('p');
+      excerpt.className = 'result-excerpt';
+      excerpt.textContent = result.excerpt.length > 200 ? `${result.excerpt.slice(0, 200)}…` : result.excerpt;
+      content.appendChild(excerpt);
+    }
+
+    const link = document.createElement('a');
+    link.href = result.url;
+    link.className = 'result-link';
+    link.textContent = i18n.t('search.view', { type: result.type || 'Page' });
+    link.insertAdjacentHTML('beforeend', ' <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="5" y1="12" x2="19" y2="12"/><polyline points="12 5 19 12 12 19"/></svg>');
+    content.appendChild(link);
+
+    card.appendChild(content);
+    return card;
+  }
+
+  // Later pages load from the server; live results show the first page
+  function createPagination(params, page, pages) {
+    const nav = document.createElement('nav');
+    nav.className = 'pagination';
+    nav.setAttribute('aria-label', i18n.t('search.pagination'));
+
+    const addLink = (number, label) => {
+      const pageParams = new URLSearchParams(params);
+      pageParams.set('page', String(number));
+      const link = document.createElement('a');
+      link.href = `/search?${pageParams}`;
+      link.className = 'pagination-btn';
+      link.textContent = label;
+      nav.appendChild(link);
+    };
+
+    if (page > 1) addLink(page - 1, i18n.t('search.previous'));
+    if (page < pages) addLink(page + 1, i18n.t('search.next'));
+
+    return nav;
+  }
+
+  /**
+   * Live search form
+   */
+  function mountLiveSearch(form) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const scope = form.closest('main') || document;
+    const input = form.elements.q;
+    const results = scope.querySelector('[data-search-results]');
+    const empty = scope.querySelector('[data-search-empty]');
+    const emptyMessage = scope.querySelector('[data-search-empty-message]');
+    const count = scope.querySelector('[data-search-count]');
+    const queryLine = scope.querySelector('[data-search-query]');
+
+    if (!input || !results || !('fetch' in window)) return null;
+
+    const endpoint = config.get('search.endpoint', '/api/search');
+    // Marks the history entries this form manages, see popstate below
+    const entryId = `search-${Date.now().toString(36)}`;
+    const titleSuffix = document.title.includes(' - ') ? document.title.slice(document.title.lastIndexOf(' - ')) : '';
+
+    let debounceTimer = null;
+    let request = null;
+    let lastKey = null;
+
+    const getParams = () => {
+      const params = new URLSearchParams();
+      new FormData(form).forEach((value, name) => {
+        const trimmed = String(value).trim();
+        if (trimmed) params.set(name, trimmed);
+      });
+      return params;
+    };
+
+    const setFields = (params) => {
+      Array.from(form.elements).forEach(field => {
+        if (field.name) field.value = params.get(field.name) || '';
+      });
+    };
+
+    const updateHistory = (params, mode) => {
+      const url = `${form.getAttribute('action') || location.pathname}${params.toString() ? `?${params}` : ''}`;
+      const state = { ...(mode === 'push' ? {} : history.state), liveSearch: entryId };
+
+      if (mode === 'push' && url !== location.pathname + location.search) {
+        history.pushState(state, '', url);
+      } else {
+        history.replaceState(state, '', url);
+      }
+    };
+
+    const updateHeading = (query) => {
+      if (queryLine) {
+        queryLine.hidden = !query;
+        const strong = queryLine.querySelector('strong');
+        if (strong) strong.textContent = `"${query}"`;
+      }
+      document.title = (query ? i18n.t('search.titleFor', { query }) : i18n.t('search.title')) + titleSuffix;
+    };
+
+    const showEmpty = (message) => {
+      results.replaceChildren();
+      if (empty) empty.hidden = false;
+      if (emptyMessage) emptyMessage.textContent = message;
+    };
+
+    // Facet options from the endpoint, keeping the current choice
+    const updateFacets = (facets = {}) => {
+      form.querySelectorAll('[data-search-facet]').forEach(select => {
+        const options = facets[select.dataset.searchFacet];
+        if (!Array.isArray(options)) return;
+
+        const selected = select.value;
+        const first = select.options[0];
+        select.replaceChildren(first);
+        options.forEach(option => {
+          const value = option.value ?? option.slug;
+          const label = option.label ?? option.name;
+          select.add(new Option(option.count !== undefined ? `${label} (${option.count})` : label, value));
+        });
+        select.value = selected;
+        // The current choice is no longer offered; keep it so the query still makes sense
+        if (select.value !== selected) {
+          select.add(new Option(selected, selected));
+          select.value = selected;
+        }
+      });
+    };
+
+    const render = (data, params) => {
+      const query = params.get('q') || '';
+      const items = Array.isArray(data.results) ? data.results : [];
+      const total = typeof data.total === 'number' ? data.total : items.length;
+
+      updateFacets(data.facets);
+
+      if (!items.length) {
+        showEmpty(i18n.t('search.noResults', { query }));
+        if (count) count.textContent = i18n.t('search.count', { count: 0 });
+        return;
+      }
+
+      const list = document.createElement('div');
+      list.className = 'results-list';
+      items.forEach(result => list.appendChild(createResult(result)));
+
+      const terms = getTerms(query);
+      list.querySelectorAll('.result-title a, .result-excerpt').forEach(el => highlight(el, terms));
+
+      const nodes = [list];
+      if (data.pages > 1) nodes.push(createPagination(params, data.page || 1, data.pages));
+
+      results.replaceChildren(...nodes);
+      if (empty) empty.hidden = true;
+      if (count) count.textContent = i18n.t('search.count', { count: total });
+    };
+
+    const search = async (params) => {
+      const key = params.toString();
+      if (key === lastKey) return;
+      lastKey = key;
+
+      if (request) request.abort();
+      clearTimeout(debounceTimer);
+
+      const query = params.get('q') || '';
+      updateHeading(query);
+
+      if (query.length < MIN_QUERY_LENGTH) {
+        request = null;
+        results.classList.remove('is-loading');
+        results.removeAttribute('aria-busy');
+        showEmpty(i18n.t('search.prompt'));
+        if (count) count.textContent = '';
+        return;
+      }
+
+      const current = new AbortController();
+      request = current;
+      results.classList.add('is-loading');
+      results.setAttribute('aria-busy', 'true');
+
+      try {
+        const response = await fetch(`${endpoint}?${params}`, {
+          headers: { 'Accept': 'application/json' },
+          signal: current.signal
+        });
+        if (!response.ok) throw new Error(`Search request failed: ${response.status}`);
+
+        const data = await response.json();
+        render(data, params);
+        hooks.doAction('search.results', data, params);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+
+        console.warn('Live search failed:', error);
+        // Let the next change or a submit try again
+        lastKey = null;
+        if (count) count.textContent = i18n.t('search.error');
+      } finally {
+        if (request === current) {
+          request = null;
+          results.classList.remove('is-loading');
+          results.removeAttribute('aria-busy');
+        }
+      }
+    };
+
+    const searchNow = (historyMode) => {
+      clearTimeout(debounceTimer);
+      const params = getParams();
+      updateHistory(params, historyMode);
+      search(params);
+    };
+
+    input.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => searchNow('replace'), DEBOUNCE_DELAY);
+    }, { signal });
+
+    form.addEventListener('change', (e) => {
+      if (e.target !== input) searchNow('push');
+    }, { signal });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      lastKey = null;
+      searchNow('push');
+    }, { signal });
+
+    /**
+     * Arrow keys: from the input into the result titles and between them
+     */
+    const getResultLinks = () => Array.from(results.querySelectorAll('.result-title a'));
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowDown') return;
+
+      const links = getResultLinks();
+      if (links.length) {
+        e.preventDefault();
+        links[0].focus();
+      }
+    }, { signal });
+
+    results.addEventListener('keydown', (e) => {
+      const links = getResultLinks();
+      const index = links.indexOf(e.target);
+      if (index === -1) return;
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          links[Math.min(index + 1, links.length - 1)].focus();
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          if (index === 0) {
+            input.focus();
+          } else {
+            links[index - 1].focus();
+          }
+          break;
+        case 'Home':
+          e.preventDefault();
+          links[0].focus();
+          break;
+        case 'End':
+          e.preventDefault();
+          links[links.length - 1].focus();
+          break;
+        case 'Escape':
+          e.preventDefault();
+          input.focus();
+          break;
+      }
+    }, { signal });
+
+    /**
+     * History: our entries are restored here rather than reloaded
+     */
+    const ownsEntry = (handled, state) => handled || Boolean(state && state.liveSearch === entryId);
+    hooks.addFilter('transitions.popstate', ownsEntry);
+
+    window.addEventListener('popstate', (e) => {
+      if (!ownsEntry(false, e.state)) return;
+
+      const params = new URLSearchParams(location.search);
+      setFields(params);
+
+      const restored = getParams();
+      if (params.has('page')) restored.set('page', params.get('page'));
+      search(restored);
+    }, { signal });
+
+    // Server-rendered results: highlight, and claim the entry for back/forward
+    const initialParams = getParams();
+    lastKey = new URLSearchParams(location.search).has('page') ? null : initialParams.toString();
+    history.replaceState({ ...history.state, liveSearch: entryId }, '');
+    const initialTerms = getTerms(initialParams.get('q') || '');
+    results.querySelectorAll('.result-title a, .result-excerpt').forEach(el => highlight(el, initialTerms));
+
+    return () => {
+      controller.abort();
+      clearTimeout(debounceTimer);
+      if (request) request.abort();
+      hooks.removeFilter('transitions.popstate', ownsEntry);
+    };
+  }
+
+  components.register('live-search', { selector: '[data-live-search]', mount: mountLiveSearch });
+
+})();
@@ -15,7 +15,7 @@ class RustPressPayments {
       publicKey: config.publicKey || 'pk_test_XXXXXXXXXXXXXXXXXXXXXXXX',
       apiEndpoint: config.apiEndpoint || '/api',
       currency: config.currency || 'usd',
-      locale: config.locale || 'en',
+      locale: config.locale || (typeof document !== 'undefined' && document.documentElement.lang) || 'en',
       ...config
     };
 
@@ -31,7 +31,7 @@ class RustPressPayments {
     };
 
     // Plan definitions
-    this.plans = {
+    this.plans = RustPressPayments.applyFilters('checkout.plans', {
       developer: {
         name: 'Developer',
         monthly: 19,
@@ -56,7 +56,7 @@ class RustPressPayments {
         priceIdYearly: 'price_enterprise_yearly',
         features: ['Everything in Business', 'Unlimited team members', 'On-premise deployment', 'Dedicated account manager', '24/7 phone support', 'Custom development', 'SLA guarantee']
       }
-    };
+    }, this);
 
     // Callbacks
     this.callbacks = {
@@ -68,6 +68,47 @@ class RustPressPayments {
     };
   }
 
+  /**
+   * Theme hooks (assets/js/hooks.js). This file also runs outside the theme
+   * and before its deferred scripts, so hooks are looked up when used.
+   */
+  static applyFilters(name, value, ...args) {
+    const hooks = typeof window !== 'undefined' && window.RustPress && window.RustPress.hooks;
+    return hooks ? hooks.applyFilters(name, value, ...args) : value;
+  }
+
+  static doAction(name, ...args) {
+    const hooks = typeof window !== 'undefined' && window.RustPress && window.RustPress.hooks;
+    if (hooks) {
+      hooks.doAction(name, ...args);
+    }
+  }
+
+  /**
+   * Locale-aware number via the theme formatter (assets/js/format.js) when present
+   */
+  formatNumber(value, options = {}) {
+    const format = typeof window !== 'undefined' && window.RustPress && window.RustPress.format;
+    if (format) return format.number(value, { locale: this.config.locale, ...options });
+
+    return new Intl.NumberFormat(this.config.locale, options).format(value);
+  }
+
+  formatPrice(amount, options = {}) {
+    return this.formatNumber(amount, { style: 'currency', currency: this.config.currency.toUpperCase(), ...options });
+  }
+
+  /**
+   * Translated message from the theme catalog (assets/js/i18n.js), or the
+   * English fallback with its {placeholders} filled in when used on its own
+   */
+  static t(key, fallback, params = {}) {
+    const i18n = typeof window !== 'undefined' && window.RustPress && window.RustPress.i18n;
+    if (i18n && i18n.has(key)) return i18n.t(key, params);
+
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+  }
+
   /**
    * Initialize Stripe and mount card element
    */
@@ -214,6 +255,7 @@ class RustPressPayments {
       billingToggle.addEventListener('change', (e) => {
         this.state.billingCycle = e.target.checked ? 'yearly' : 'monthly';
         this.updatePriceDisplay();
+        this.trackStep('billing');
       });
     }
 
@@ -290,6 +332,17 @@ class RustPressPayments {
     }
 
     this.updatePriceDisplay();
+    this.trackStep('plan');
+  }
+
+  /**
+   * Announce checkout progress (plan, billing, payment, authentication)
+   */
+  trackStep(step) {
+    RustPressPayments.doAction('checkout.step', step, {
+      plan: this.state.selectedPlan,
+      cycle: this.state.billingCycle
+    }, this);
   }
 
   /**
@@ -300,27 +353,35 @@ class RustPressPayments {
 
     const plan = this.plans[this.state.selectedPlan];
     const isYearly = this.state.billingCycle === 'yearly';
-    let price = isYearly ? plan.yearly : plan.monthly;
-
-    // Apply promo discount
-    if (this.state.promoDiscount > 0) {
-      price = price * (1 - this.state.promoDiscount / 100);
-    }
+    const subtotal = isYearly ? plan.yearly : plan.monthly;
+    const price = this.calculateTotal();
 
     // Update displays
     const priceDisplay = document.getElementById('plan-price');
     if (priceDisplay) {
-      priceDisplay.textContent = `$${price.toFixed(2)}`;
+      priceDisplay.textContent = this.formatPrice(price);
     }
 
     const cycleDisplay = document.getElementById('billing-cycle-text');
     if (cycleDisplay) {
-      cycleDisplay.textContent = isYearly ? '/year' : '/month';
+      cycleDisplay.textContent = isYearly
+        ? RustPressPayments.t('checkout.perYear', '/year')
+        : RustPressPayments.t('checkout.perMonth', '/month');
+    }
+
+    const subtotalDisplay = document.getElementById('subtotal');
+    if (subtotalDisplay) {
+      subtotalDisplay.textContent = this.formatPrice(subtotal);
+    }
+
+    const discountDisplay = document.getElementById('discount-amount');
+    if (discountDisplay) {
+      discountDisplay.textContent = this.formatPrice(price - subtotal, { signDisplay: 'exceptZero' });
     }
 
     const totalDisplay = document.getElementById('order-total');
     if (totalDisplay) {
-      totalDisplay.textContent = `$${price.toFixed(2)}`;
+      totalDisplay.textContent = this.formatPrice(price);
     }
 
     // Show savings for yearly
@@ -329,7 +390,9 @@ class RustPressPayments {
       if (isYearly) {
         const monthlyCost = plan.monthly * 12;
         const savings = monthlyCost - plan.yearly;
-        savingsDisplay.textContent = `Save $${savings} with yearly billing`;
+        savingsDisplay.textContent = RustPressPayments.t('checkout.savings', 'Save {amount} with yearly billing', {
+          amount: this.formatPrice(savings, { trailingZeroDisplay: 'stripIfInteger' })
+        });
         savingsDisplay.style.display = 'block';
       } else {
         savingsDisplay.style.display = 'none';
@@ -349,14 +412,14 @@ class RustPressPayments {
 
     const code = promoInput.value.trim().toUpperCase();
     if (!code) {
-      this.showPromoMessage('Please enter a promo code', 'error');
+      this.showPromoMessage(RustPressPayments.t('checkout.promo.empty', 'Please enter a promo code'), 'error');
       return;
     }
 
     // Disable button during validation
     if (promoButton) {
       promoButton.disabled = true;
-      promoButton.textContent = 'Validating...';
+      promoButton.textContent = RustPressPayments.t('checkout.promo.validating', 'Validating...');
     }
 
     try {
@@ -373,17 +436,19 @@ class RustPressPayments {
       if (data.valid) {
         this.state.promoCode = code;
         this.state.promoDiscount = data.discount;
-        this.showPromoMessage(`${data.discount}% discount applied!`, 'success');
+        this.showPromoMessage(RustPressPayments.t('checkout.promo.discount', '{percent} discount applied!', {
+          percent: this.formatNumber(data.discount / 100, { style: 'percent' })
+        }), 'success');
         this.updatePriceDisplay();
         promoInput.disabled = true;
         if (promoButton) {
-          promoButton.textContent = 'Applied';
+          promoButton.textContent = RustPressPayments.t('checkout.promo.applied', 'Applied');
         }
       } else {
-        this.showPromoMessage(data.message || 'Invalid promo code', 'error');
+        this.showPromoMessage(data.message || RustPressPayments.t('checkout.promo.invalid', 'Invalid promo code'), 'error');
         if (promoButton) {
           promoButton.disabled = false;
-          promoButton.textContent = 'Apply';
+          promoButton.textContent = RustPressPayments.t('checkout.promo.apply', 'Apply');
         }
       }
     } catch (error) {
@@ -398,17 +463,19 @@ class RustPressPayments {
       if (testCodes[code]) {
         this.state.promoCode = code;
         this.state.promoDiscount = testCodes[code];
-        this.showPromoMessage(`${testCodes[code]}% discount applied!`, 'success');
+        this.showPromoMessage(RustPressPayments.t('checkout.promo.discount', '{percent} discount applied!', {
+          percent: this.formatNumber(testCodes[code] / 100, { style: 'percent' })
+        }), 'success');
         this.updatePriceDisplay();
         promoInput.disabled = true;
         if (promoButton) {
-          promoButton.textContent = 'Applied';
+          promoButton.textContent = RustPressPayments.t('checkout.promo.applied', 'Applied');
         }
       } else {
-        this.showPromoMessage('Invalid promo code', 'error');
+        this.showPromoMessage(RustPressPayments.t('checkout.promo.invalid', 'Invalid promo code'), 'error');
         if (promoButton) {
           promoButton.disabled = false;
-          promoButton.textContent = 'Apply';
+          promoButton.textContent = RustPressPayments.t('checkout.promo.apply', 'Apply');
         }
       }
     }
@@ -437,6 +504,7 @@ class RustPressPayments {
     // Validate form
     if (!this.validateForm()) return;
 
+    this.trackStep('payment');
     this.setProcessing(true);
 
     try {
@@ -474,6 +542,7 @@ class RustPressPayments {
 
     } catch (error) {
       console.error('Payment error:', error);
+      RustPressPayments.doAction('checkout.error', error, this);
       this.callbacks.onPaymentError(error);
     } finally {
       this.setProcessing(false);
@@ -488,15 +557,17 @@ class RustPressPayments {
 
     // Check plan selection
     if (!this.state.selectedPlan) {
-      errors.push('Please select a subscription plan');
+      errors.push(RustPressPayments.t('checkout.errors.plan', 'Please select a subscription plan'));
     }
 
     // Check required fields
-    const requiredFields = ['full-name', 'email'];
-    requiredFields.forEach(fieldId => {
+    const requiredFields = { 'full-name': 'Full name', email: 'Email' };
+    Object.keys(requiredFields).forEach(fieldId => {
       const field = document.getElementById(fieldId);
       if (!field || !field.value.trim()) {
-        errors.push(`${fieldId.replace('-', ' ')} is required`);
+        errors.push(RustPressPayments.t('checkout.errors.required', '{field} is required', {
+          field: RustPressPayments.t(`checkout.fields.${fieldId}`, requiredFields[fieldId])
+        }));
       }
     });
 
@@ -505,18 +576,21 @@ class RustPressPayments {
     if (emailField && emailField.value) {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!emailRegex.test(emailField.value)) {
-        errors.push('Please enter a valid email address');
+        errors.push(RustPressPayments.t('checkout.errors.email', 'Please enter a valid email address'));
       }
     }
 
     // Check terms acceptance
     const termsCheckbox = document.getElementById('accept-terms');
     if (termsCheckbox && !termsCheckbox.checked) {
-      errors.push('Please accept the terms and conditions');
+      errors.push(RustPressPayments.t('checkout.errors.terms', 'Please accept the terms and conditions'));
     }
 
-    if (errors.length > 0) {
-      this.callbacks.onValidationError(errors);
+    // Child themes can add their own checks or drop built-in ones
+    const allErrors = RustPressPayments.applyFilters('checkout.validationErrors', errors, this.getFormData(), this);
+
+    if (allErrors.length > 0) {
+      this.callbacks.onValidationError(allErrors);
       return false;
     }
 
@@ -544,7 +618,7 @@ class RustPressPayments {
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({
+      body: JSON.stringify(RustPressPayments.applyFilters('checkout.payload', {
         payment_method_id: data.paymentMethodId,
         plan_id: data.planId,
         billing_cycle: data.billingCycle,
@@ -555,12 +629,12 @@ class RustPressPayments {
           company: data.company,
           country: data.country
         }
-      })
+      }, data, this))
     });
 
     if (!response.ok) {
       const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to create subscription');
+      throw new Error(errorData.message || RustPressPayments.t('checkout.errors.subscription', 'Failed to create subscription'));
     }
 
     return response.json();
@@ -576,7 +650,7 @@ class RustPressPayments {
       case 'active':
       case 'trialing':
         // Subscription created successfully
-        this.callbacks.onPaymentSuccess({
+        this.handlePaymentSuccess({
           subscriptionId: subscription_id,
           status
         });
@@ -585,6 +659,7 @@ class RustPressPayments {
       case 'requires_action':
       case 'requires_payment_method':
         // 3D Secure authentication required
+        this.trackStep('authentication');
         const { error, paymentIntent } = await this.stripe.confirmCardPayment(client_secret);
 
         if (error) {
@@ -594,7 +669,7 @@ class RustPressPayments {
         if (paymentIntent.status === 'succeeded') {
           // Confirm subscription on server
           await this.confirmSubscription(subscription_id);
-          this.callbacks.onPaymentSuccess({
+          this.handlePaymentSuccess({
             subscriptionId: subscription_id,
             status: 'active'
           });
@@ -602,10 +677,10 @@ class RustPressPayments {
         break;
 
       case 'incomplete':
-        throw new Error('Payment incomplete. Please try again.');
+        throw new Error(RustPressPayments.t('checkout.errors.incomplete', 'Payment incomplete. Please try again.'));
 
       default:
-        throw new Error(`Unexpected subscription status: ${status}`);
+        throw new Error(RustPressPayments.t('checkout.errors.status', 'Unexpected subscription status: {status}', { status }));
     }
   }
 
@@ -622,7 +697,7 @@ class RustPressPayments {
     });
 
     if (!response.ok) {
-      throw new Error('Failed to confirm subscription');
+      throw new Error(RustPressPayments.t('checkout.errors.confirm', 'Failed to confirm subscription'));
     }
 
     return response.json();
@@ -657,12 +732,25 @@ class RustPressPayments {
     }
   }
 
+  /**
+   * Notify hooks, then hand over to the success callback
+   */
+  handlePaymentSuccess(data) {
+    RustPressPayments.doAction('checkout.success', data, this);
+    this.callbacks.onPaymentSuccess(data);
+  }
+
   /**
    * Default success handler
    */
   defaultPaymentSuccess(data) {
     // Redirect to thank you page
-    const redirectUrl = `/thank-you?subscription=${data.subscriptionId}&status=${data.status}`;
+    const redirectUrl = RustPressPayments.applyFilters(
+      'checkout.successRedirect',
+      `/thank-you?subscription=${data.subscriptionId}&status=${data.status}`,
+      data,
+      this
+    );
     window.location.href = redirectUrl;
   }
 
@@ -671,7 +759,7 @@ class RustPressPayments {
    */
   defaultPaymentError(error) {
     const errorDisplay = document.getElementById('payment-error');
-    const errorMessage = error.message || 'An unexpected error occurred. Please try again.';
+    const errorMessage = error.message || RustPressPayments.t('checkout.errors.generic', 'An unexpected error occurred. Please try again.');
 
     if (errorDisplay) {
       errorDisplay.textContent = errorMessage;
@@ -746,21 +834,36 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = RustPressPayments;
 }
 
-// Auto-initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  // Only initialize on checkout page
-  if (document.getElementById('payment-form') || document.getElementById('card-element')) {
+// Auto-initialize on the checkout page (assets/js/loader.js loads this script for it)
+(function() {
+  'use strict';
+
+  const { components, config } = window.RustPress;
+
+  function mountCheckout() {
+    // The form and the card element are both on the page; one instance drives them
+    if (window.rustPressPayments) return null;
+
     const stripeKey = document.querySelector('meta[name="stripe-public-key"]')?.content
       || window.STRIPE_PUBLIC_KEY
       || 'pk_test_XXXXXXXXXXXXXXXXXXXXXXXX';
 
-    window.rustPressPayments = new RustPressPayments({
+    // Prices use the theme currency (settings.currency)
+    // The default success handler redirects to /thank-you (filter: checkout.successRedirect)
+    const payments = new RustPressPayments({
       publicKey: stripeKey,
-      onPaymentSuccess: (data) => {
-        window.location.href = `/thank-you?subscription=${data.subscriptionId}`;
-      }
+      currency: config.get('currency', 'usd')
     });
 
-    window.rustPressPayments.init();
+    window.rustPressPayments = payments;
+    payments.init();
+
+    return () => {
+      payments.destroy();
+      if (window.rustPressPayments === payments) window.rustPressPayments = null;
+    };
   }
-});
+
+  components.register('checkout', { selector: '#payment-form, #card-element', mount: mountCheckout });
+
+})();
@@ -0,0 +1,336 @@
+/**
+ * RustPress Enterprise Theme - Transitions
+ * Instant page transitions (opt-in via features.instantNavigation in theme.json).
+ * Same-origin links are prefetched on hover, or when they enter the viewport
+ * with data-prefetch="viewport"; on click only <main>, the title and head
+ * metadata are swapped, inside a View Transition where the browser has one.
+ *
+ * A full page load is used instead when:
+ *   - the link, or an ancestor, has data-no-swap (e.g. links to checkout)
+ *   - the next page's <body> or <main> has data-no-swap
+ *   - the next page runs different scripts ({% block scripts %}, inline scripts)
+ *
+ * Hooks:
+ *   transitions.before (url)         before the next page is requested
+ *   transitions.after  (url, main)   after the swap and re-mount
+ *   transitions.popstate (filter)    true when a component owns the history
+ *                                    entry (state) and updates the page itself
+ */
+
+(function() {
+  'use strict';
+
+  const { components, config, hooks, motion } = window.RustPress;
+
+  if (!('fetch' in window) || !('DOMParser' in window) || !history.pushState) return;
+
+  const PREFETCH_DELAY = 65;
+  const CACHE_LIMIT = 20;
+  const CACHE_TTL = 60000;
+  // Downloads and other files the browser should handle itself
+  const FILE_EXTENSION = /\.(?!html?$)[a-z0-9]{2,5}$/i;
+  const SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+  // Head elements that differ between pages
+  const HEAD_SELECTOR = 'meta[name]:not([name="viewport"]), meta[property], link[rel="canonical"], script[type="application/ld+json"], style';
+
+  const cache = new Map();
+  let pageScripts = getScriptSignature(document);
+  let pageClasses = getClasses(document.body);
+  let pageKey = getKey(location.href);
+  let navigationId = 0;
+  let hoverTimer = null;
+  let viewportObserver = null;
+
+  function isEnabled() {
+    return config.isEnabled('instantNavigation');
+  }
+
+  function getKey(url) {
+    const { origin, pathname, search } = new URL(url, location.href);
+    return origin + pathname + search;
+  }
+
+  function getClasses(el) {
+    return (el.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Executable scripts of a page; pages only swap when these match.
+   * Modules added by assets/js/loader.js follow the content and are left out.
+   */
+  function getScriptSignature(doc) {
+    return Array.from(doc.querySelectorAll('script:not([data-loader])'))
+      .filter(script => SCRIPT_TYPES.includes((script.getAttribute('type') || '').toLowerCase()))
+      .map(script => (script.hasAttribute('src')
+        ? new URL(script.getAttribute('src'), location.href).href
+        : script.textContent.trim()))
+      .join('\n');
+  }
+
+  function isEligible(link) {
+    if (!link || !link.href) return false;
+    if ((link.target && link.target !== '_self') || link.hasAttribute('download')) return false;
+    if (link.closest('[data-no-swap]')) return false;
+
+    const url = new URL(link.href, location.href);
+    if (url.origin !== location.origin || !/^https?:$/.test(url.protocol)) return false;
+    if (FILE_EXTENSION.test(url.pathname)) return false;
+
+    // In-page anchors are handled by main.js
+    return !(getKey(url) === pageKey && url.hash);
+  }
+
+  /**
+   * Fetch a page, sharing requests between prefetch and navigation
+   */
+  function fetchPage(url) {
+    const key = getKey(url);
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.time < CACHE_TTL) return cached.promise;
+
+    const promise = fetch(key, { credentials: 'same-origin', headers: { 'Accept': 'text/html' } })
+      .then(response => {
+        const type = response.headers.get('Content-Type') || '';
+        if (!response.ok || !type.includes('text/html')) {
+          throw new Error(`Cannot swap to ${key} (${response.status})`);
+        }
+        return response.text().then(html => ({ html, url: response.url || key }));
+      });
+
+    promise.catch(() => cache.delete(key));
+    cache.set(key, { promise, time: Date.now() });
+
+    // Drop the oldest entries
+    while (cache.size > CACHE_LIMIT) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    return promise;
+  }
+
+  function prefetch(url) {
+    if (!isEnabled() || navigator.connection?.saveData) return;
+    fetchPage(url).catch(() => {});
+  }
+
+  function canSwap(doc) {
+    const main = doc.getElementById('main-content');
+    if (!main || main.hasAttribute('data-no-swap') || doc.body.hasAttribute('data-no-swap')) return false;
+    return getScriptSignature(doc) === pageScripts;
+  }
+
+  /**
+   * Navigate to url, swapping <main> when possible
+   */
+  async function navigate(url, { push = true, scrollY = null } = {}) {
+    const id = ++navigationId;
+    const target = new URL(url, location.href);
+
+    rememberScroll();
+    document.documentElement.classList.add('is-navigating');
+    hooks.doAction('transitions.before', target.href);
+
+    let doc;
+    let finalUrl;
+    try {
+      const page = await fetchPage(target.href);
+      doc = new DOMParser().parseFromString(page.html, 'text/html');
+      finalUrl = new URL(page.url);
+      finalUrl.hash = target.hash;
+    } catch (error) {
+      console.warn('Instant navigation failed, loading the page instead:', error);
+      fullLoad(target.href, push);
+      return;
+    }
+
+    // A newer navigation has started
+    if (id !== navigationId) return;
+
+    if (!canSwap(doc)) {
+      fullLoad(finalUrl.href, push);
+      return;
+    }
+
+    if (push) {
+      history.pushState({ transition: true }, '', finalUrl.href);
+    }
+
+    const update = () => swap(doc);
+    const animate = typeof document.startViewTransition === 'function'
+      && !motion.isReduced();
+
+    if (animate) {
+      try {
+        await document.startViewTransition(update).updateCallbackDone;
+      } catch (error) {
+        console.error('View transition failed:', error);
+      }
+    } else {
+      update();
+    }
+
+    settle(finalUrl, scrollY);
+    document.documentElement.classList.remove('is-navigating');
+    hooks.doAction('transitions.after', finalUrl.href, document.getElementById('main-content'));
+  }
+
+  function fullLoad(url, push) {
+    if (push) {
+      window.location.assign(url);
+    } else {
+      window.location.replace(url);
+    }
+  }
+
+  /**
+   * Replace <main>, head metadata and page classes, then re-mount components
+   * inside the new <main>; the header, footer and other chrome keep their state
+   */
+  function swap(doc) {
+    const current = document.getElementById('main-content');
+    const next = document.adoptNode(doc.getElementById('main-content'));
+
+    window.RustPress.destroy(current);
+
+    document.title = doc.title;
+    syncHead(doc);
+
+    document.body.classList.remove(...pageClasses);
+    pageClasses = getClasses(doc.body);
+    document.body.classList.add(...pageClasses);
+
+    current.replaceWith(next);
+    pageKey = getKey(location.href);
+
+    window.RustPress.init(next);
+  }
+
+  function syncHead(doc) {
+    const currentNodes = Array.from(document.head.querySelectorAll(HEAD_SELECTOR));
+    const nextNodes = Array.from(doc.head.querySelectorAll(HEAD_SELECTOR));
+    const currentMarkup = new Set(currentNodes.map(node => node.outerHTML));
+    const nextMarkup = new Set(nextNodes.map(node => node.outerHTML));
+
+    currentNodes.forEach(node => {
+      if (!nextMarkup.has(node.outerHTML)) node.remove();
+    });
+    nextNodes.forEach(node => {
+      if (!currentMarkup.has(node.outerHTML)) {
+        document.head.appendChild(document.importNode(node, true));
+      }
+    });
+  }
+
+  /**
+   * Scroll to the hash, the remembered position or the top, and move focus
+   * into the new content so assistive technology starts reading there
+   */
+  function settle(url, scrollY) {
+    const scroll = window.RustPress.scroll;
+    const hashTarget = url.hash && scroll ? scroll.getHashTarget(url.hash) : null;
+
+    if (hashTarget && scrollY === null) {
+      scroll.toTarget(hashTarget, 'auto');
+      return;
+    }
+
+    if (scroll) {
+      scroll.to(scrollY || 0, 'auto');
+    } else {
+      window.scrollTo(0, scrollY || 0);
+    }
+
+    const main = document.getElementById('main-content');
+    const heading = main.querySelector('h1') || main;
+    if (!heading.hasAttribute('tabindex')) {
+      heading.setAttribute('tabindex', '-1');
+    }
+    heading.focus({ preventScroll: true });
+  }
+
+  function rememberScroll() {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+  }
+
+  /**
+   * Prefetch on hover or keyboard focus
+   */
+  function onPointerIntent(e) {
+    const link = e.target.closest?.('a[href]');
+    if (!isEligible(link)) return;
+
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => prefetch(link.href), e.type === 'mouseover' ? PREFETCH_DELAY : 0);
+  }
+
+  function mountViewportPrefetch(link) {
+    if (!('IntersectionObserver' in window)) return null;
+
+    if (!viewportObserver) {
+      viewportObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          viewportObserver.unobserve(entry.target);
+
+          const idle = window.requestIdleCallback || ((callback) => setTimeout(callback, 200));
+          idle(() => {
+            if (isEligible(entry.target)) prefetch(entry.target.href);
+          });
+        });
+      });
+    }
+
+    viewportObserver.observe(link);
+    return () => viewportObserver.unobserve(link);
+  }
+
+  document.addEventListener('mouseover', onPointerIntent);
+  document.addEventListener('focusin', onPointerIntent);
+  document.addEventListener('touchstart', onPointerIntent, { passive: true });
+  document.addEventListener('mouseout', (e) => {
+    if (e.target.closest?.('a[href]')) clearTimeout(hoverTimer);
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!isEnabled() || e.defaultPrevented) return;
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const link = e.target.closest('a[href]');
+    if (!isEligible(link)) return;
+
+    e.preventDefault();
+    navigate(link.href);
+  });
+
+  window.addEventListener('popstate', (e) => {
+    if (!isEnabled()) return;
+    // Hash changes within the current page belong to main.js
+    if (getKey(location.href) === pageKey) return;
+    // Entries pushed by a component on this page, e.g. live search queries
+    if (hooks.applyFilters('transitions.popstate', false, e.state)) return;
+
+    navigate(location.href, { push: false, scrollY: e.state?.scrollY ?? null });
+  });
+
+  // We restore positions after swapping; hand control back for reloads and bfcache
+  if (isEnabled()) {
+    history.scrollRestoration = 'manual';
+    window.addEventListener('pagehide', () => {
+      rememberScroll();
+      history.scrollRestoration = 'auto';
+    });
+    window.addEventListener('pageshow', () => {
+      history.scrollRestoration = 'manual';
+    });
+  }
+
+  components.register('viewport-prefetch', { selector: 'a[data-prefetch="viewport"]', mount: mountViewportPrefetch });
+
+  // Expose for other modules
+  window.RustPress.transitions = {
+    navigate,
+    prefetch,
+    isEnabled
+  };
+
+})();
@@ -0,0 +1,139 @@
+/**
+ * RustPress Enterprise Theme - Service Worker
+ * Rendered from theme.json: precaches theme.assets and the offline/404 pages,
+ * keeps docs and blog pages stale-while-revalidate and serves the offline page
+ * when there is no connection. Caches are named after the theme version, so a
+ * release replaces them all.
+ */
+
+'use strict';
+
+const VERSION = {{ theme.version | default(value="2.0.0") | json_encode() | safe }};
+const THEME_PATH = '/themes/rustpress-enterprise/';
+const THEME_ASSETS = {% if theme.assets is defined %}{{ theme.assets | json_encode() | safe }}{% else %}{}{% endif %};
+const OFFLINE_PAGE = {{ theme.pwa.offlinePage | default(value="/offline") | json_encode() | safe }};
+const NOT_FOUND_PAGE = {{ theme.pwa.notFoundPage | default(value="/404") | json_encode() | safe }};
+const PRECACHE_PAGES = {{ theme.pwa.precachePages | default(value=[]) | json_encode() | safe }};
+const STALE_WHILE_REVALIDATE = {{ theme.pwa.staleWhileRevalidate | default(value=["/docs", "/blog"]) | json_encode() | safe }};
+
+const CACHE_PREFIX = 'rustpress-';
+const PRECACHE = `${CACHE_PREFIX}precache-${VERSION}`;
+const PAGES_CACHE = `${CACHE_PREFIX}pages-${VERSION}`;
+const ASSETS_CACHE = `${CACHE_PREFIX}assets-${VERSION}`;
+
+const PRECACHE_URLS = [
+  ...Object.values(THEME_ASSETS).flat().map(path => THEME_PATH + path),
+  OFFLINE_PAGE
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const precache = await caches.open(PRECACHE);
+    await precache.addAll(PRECACHE_URLS);
+    await precacheNotFoundPage(precache);
+
+    // Optional pages (e.g. the docs index) must not fail the install
+    const pages = await caches.open(PAGES_CACHE);
+    await Promise.all(PRECACHE_PAGES.map(url => pages.add(url).catch(() => {})));
+
+    await self.skipWaiting();
+  })());
+});
+
+/**
+ * The 404 page answers with status 404, which addAll() would reject
+ */
+async function precacheNotFoundPage(cache) {
+  try {
+    const response = await fetch(NOT_FOUND_PAGE);
+    if (response.ok || response.status === 404) {
+      await cache.put(NOT_FOUND_PAGE, response);
+    }
+  } catch {
+    // Not cached this time; the offline page still covers missing pages
+  }
+}
+
+self.addEventListener('activate', (event) => {
+  const current = [PRECACHE, PAGES_CACHE, ASSETS_CACHE];
+
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  // API calls always go to the network
+  if (url.pathname.startsWith('/api/')) return;
+
+  if (url.pathname.startsWith(THEME_PATH)) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  if (isPageRequest(request)) {
+    const revalidate = STALE_WHILE_REVALIDATE.some(prefix => (
+      url.pathname === prefix || url.pathname.startsWith(`${prefix}/`)
+    ));
+    event.respondWith(revalidate ? staleWhileRevalidate(event) : networkFirst(request));
+  }
+});
+
+function isPageRequest(request) {
+  return request.mode === 'navigate' || (request.headers.get('Accept') || '').includes('text/html');
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(ASSETS_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(PAGES_CACHE);
+  const cached = await cache.match(event.request);
+
+  const network = fetch(event.request)
+    .then(response => {
+      if (response.ok) cache.put(event.request, response.clone());
+      return response;
+    });
+
+  if (cached) {
+    // Refresh in the background; a failure just keeps the cached copy
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  return network.catch(() => offlineResponse());
+}
+
+async function networkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match(request)) || offlineResponse();
+  }
+}
+
+async function offlineResponse() {
+  return (await caches.match(OFFLINE_PAGE)) || new Response('You are offline.', {
+    status: 503,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+  });
+}
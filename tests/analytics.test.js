@@ -0,0 +1,66 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTheme } from './helpers/dom.js';
+
+// base.html order, up to analytics.js
+const SCRIPTS = ['core.js', 'hooks.js', 'config.js', 'motion.js', 'i18n.js', 'format.js', 'consent.js', 'analytics.js'];
+
+const PAGE = `
+  <button id="linux" data-download="linux" data-version="1.2.0">Download</button>
+  <button id="latest" data-download="macos"><span>Download</span></button>
+`;
+
+let env;
+
+afterEach(() => env.teardown());
+
+// Record fetch calls instead of sending them
+function stubFetch(calls, { doNotTrack = false } = {}) {
+  return (window) => {
+    window.fetch = (url, init) => {
+      calls.push({ url, init, body: JSON.parse(init.body) });
+      return Promise.resolve({ ok: true });
+    };
+
+    if (doNotTrack) Object.defineProperty(window.navigator, 'doNotTrack', { value: '1' });
+  };
+}
+
+function downloads(calls) {
+  return calls.filter(call => call.url === '/api/downloads/track');
+}
+
+test('clicking a download button posts to the download counter', async () => {
+  const calls = [];
+  env = await loadTheme(PAGE, SCRIPTS, { before: stubFetch(calls) });
+
+  env.document.getElementById('linux').click();
+
+  const [call] = downloads(calls);
+  assert.equal(call.init.method, 'POST');
+  assert.equal(call.init.keepalive, true);
+  assert.equal(call.body.platform, 'linux');
+  assert.equal(call.body.version, '1.2.0');
+  assert.ok(call.body.timestamp);
+  assert.equal(call.body.userAgent, undefined);
+});
+
+test('the download counter defaults the version and handles nested targets', async () => {
+  const calls = [];
+  env = await loadTheme(PAGE, SCRIPTS, { before: stubFetch(calls) });
+
+  env.document.querySelector('#latest span').click();
+
+  assert.deepEqual(downloads(calls).map(call => call.body.version), ['latest']);
+});
+
+test('downloads are counted without analytics consent or with Do-Not-Track', async () => {
+  const calls = [];
+  env = await loadTheme(PAGE, SCRIPTS, { before: stubFetch(calls, { doNotTrack: true }) });
+
+  env.window.RustPress.consent.set({ analytics: false });
+  env.document.getElementById('linux').click();
+
+  assert.equal(downloads(calls).length, 1);
+  assert.equal(env.window.RustPress.analytics.isEnabled(), false);
+});
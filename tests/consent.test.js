@@ -0,0 +1,60 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTheme } from './helpers/dom.js';
+
+// base.html order, up to the lazy media in main.js
+const SCRIPTS = ['core.js', 'hooks.js', 'config.js', 'motion.js', 'i18n.js', 'format.js', 'consent.js', 'main.js'];
+
+const EMBED = 'https://www.youtube-nocookie.com/embed/demo';
+
+const PAGE = `
+  <iframe id="gated" data-consent="marketing" data-src="${EMBED}"></iframe>
+  <iframe id="lazy" data-src="https://example.test/map"></iframe>
+`;
+
+let env;
+
+afterEach(() => env.teardown());
+
+// Scroll everything the lazy loader watches into view
+function showAll() {
+  env.observers.forEach(observer => observer.trigger(true));
+}
+
+test('a gated iframe stays blank in view until marketing consent', async () => {
+  env = await loadTheme(PAGE, SCRIPTS);
+  const gated = env.document.getElementById('gated');
+
+  showAll();
+
+  assert.equal(gated.hasAttribute('src'), false);
+  assert.equal(gated.dataset.src, EMBED);
+  assert.equal(env.document.getElementById('lazy').getAttribute('src'), 'https://example.test/map');
+
+  env.window.RustPress.consent.set({ marketing: true });
+
+  assert.equal(gated.getAttribute('src'), EMBED);
+});
+
+test('withdrawing consent unloads a gated iframe', async () => {
+  env = await loadTheme(PAGE, SCRIPTS);
+  const gated = env.document.getElementById('gated');
+  const { consent } = env.window.RustPress;
+
+  consent.set({ marketing: true });
+  showAll();
+  consent.set({ marketing: false });
+
+  assert.equal(gated.hasAttribute('src'), false);
+  assert.equal(gated.dataset.src, EMBED);
+});
+
+test('a gated iframe only follows its own category', async () => {
+  env = await loadTheme(PAGE, SCRIPTS);
+  const gated = env.document.getElementById('gated');
+
+  env.window.RustPress.consent.set({ analytics: true });
+  showAll();
+
+  assert.equal(gated.hasAttribute('src'), false);
+});
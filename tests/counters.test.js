@@ -0,0 +1,80 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM } from './helpers/dom.js';
+import { Counter } from '../assets/js/modules/index.js';
+
+let env;
+
+afterEach(() => env.teardown());
+
+function counterElement(attributes) {
+  const element = env.document.createElement('span');
+  Object.assign(element.dataset, attributes);
+  env.document.body.appendChild(element);
+  return element;
+}
+
+test('Counter counts up to data-counter over the duration', () => {
+  env = setupDOM();
+  const element = counterElement({ counter: '1250', duration: '1000', suffix: '+' });
+  const counter = new Counter(element);
+
+  counter.start();
+  env.frame(1000);
+  env.frame(1500);
+  const midway = Number(element.textContent.replace(/\D/g, ''));
+  assert.ok(midway > 0 && midway < 1250, `unexpected midway value ${element.textContent}`);
+
+  env.frame(2000);
+  assert.equal(element.textContent, '1,250+');
+  assert.equal(counter.hasAnimated, true);
+  assert.equal(counter.animationId, null);
+});
+
+test('Counter shows the final value at once with reduced motion', () => {
+  env = setupDOM('', { reducedMotion: true });
+  const element = counterElement({ target: '99.5', decimals: '1', prefix: '$' });
+
+  new Counter(element).start();
+
+  assert.equal(element.textContent, '$99.5');
+});
+
+test('Counter formats with the data-style options', () => {
+  env = setupDOM();
+  const element = counterElement({ counter: '0.42', style: 'percent' });
+  const counter = new Counter(element);
+
+  counter.finish();
+
+  assert.equal(element.textContent, '42%');
+});
+
+test('Counter uses RustPress.format when the theme is loaded', () => {
+  env = setupDOM('', {
+    runtime: {
+      format: { number: (value) => `#${value}`, optionsFromDataset: () => ({}) },
+      motion: { isReduced: () => true, onChange: () => () => {} }
+    }
+  });
+  const element = counterElement({ counter: '7' });
+
+  new Counter(element).start();
+
+  assert.equal(element.textContent, '#7');
+});
+
+test('Counter stops and resets', () => {
+  env = setupDOM();
+  const element = counterElement({ counter: '10', duration: '100' });
+  const counter = new Counter(element);
+
+  counter.start();
+  env.frame(1000);
+  counter.stop();
+  assert.equal(counter.animationId, null);
+
+  counter.reset();
+  assert.equal(element.textContent, '0');
+  assert.equal(counter.hasAnimated, false);
+});
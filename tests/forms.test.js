@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM } from './helpers/dom.js';
+import { FormValidator } from '../assets/js/modules/index.js';
+
+const FORM = `
+  <form>
+    <div class="form-group"><input name="name" data-validate="required|minLength:3"></div>
+    <div class="form-group"><input name="email" data-validate="required|email" data-error-email="Use your work address"></div>
+    <button type="submit">Send</button>
+  </form>
+`;
+
+let env;
+
+beforeEach(() => {
+  env = setupDOM(FORM);
+});
+
+afterEach(() => env.teardown());
+
+function fill(form, values) {
+  Object.entries(values).forEach(([name, value]) => {
+    form.elements[name].value = value;
+  });
+}
+
+test('adds an error element to each validated field', () => {
+  const form = env.document.querySelector('form');
+  new FormValidator(form);
+
+  assert.equal(form.querySelectorAll('.form-error[role="alert"]').length, 2);
+});
+
+test('validateAll reports the English messages without the theme runtime', () => {
+  const form = env.document.querySelector('form');
+  const validator = new FormValidator(form);
+
+  fill(form, { name: 'Al', email: '' });
+  assert.equal(validator.validateAll(), false);
+
+  const [nameError, emailError] = form.querySelectorAll('.form-error');
+  assert.equal(nameError.textContent, 'Must be at least 3 characters');
+  assert.equal(emailError.textContent, 'This field is required');
+  assert.ok(form.elements.name.classList.contains('input--error'));
+});
+
+test('a data-error-* attribute overrides the message', () => {
+  const form = env.document.querySelector('form');
+  const validator = new FormValidator(form);
+
+  fill(form, { name: 'Ada', email: 'ada' });
+  validator.validateAll();
+
+  assert.equal(form.querySelectorAll('.form-error')[1].textContent, 'Use your work address');
+  assert.ok(form.elements.name.classList.contains('input--success'));
+});
+
+test('uses RustPress.i18n when the theme is loaded', () => {
+  env.window.RustPress = { i18n: { t: (key) => `[${key}]` } };
+  const form = env.document.querySelector('form');
+  const validator = new FormValidator(form);
+
+  validator.validateAll();
+
+  assert.equal(form.querySelector('.form-error').textContent, '[forms.validation.required]');
+});
+
+test('submits the form data to onSubmit only when valid', async () => {
+  const form = env.document.querySelector('form');
+  const submitted = [];
+  new FormValidator(form, { onSubmit: async (data) => submitted.push(data) });
+
+  form.dispatchEvent(new env.window.Event('submit', { cancelable: true }));
+  await Promise.resolve();
+  assert.equal(submitted.length, 0);
+
+  fill(form, { name: 'Ada', email: 'ada@example.com' });
+  form.dispatchEvent(new env.window.Event('submit', { cancelable: true }));
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.deepEqual(submitted, [{ name: 'Ada', email: 'ada@example.com' }]);
+});
+
+test('destroy removes the listeners', () => {
+  const form = env.document.querySelector('form');
+  const validator = new FormValidator(form);
+  validator.destroy();
+
+  form.elements.name.dispatchEvent(new env.window.Event('blur'));
+
+  assert.equal(form.querySelector('.form-error').textContent, '');
+});
@@ -0,0 +1,143 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM } from './helpers/dom.js';
+import { Lightbox, Slider } from '../assets/js/modules/index.js';
+
+const SLIDES = `
+  <div class="slider">
+    <div class="slider-slide">1</div>
+    <div class="slider-slide">2</div>
+    <div class="slider-slide">3</div>
+  </div>
+`;
+
+const IMAGES = [
+  { src: '/a.jpg', caption: 'First' },
+  { src: '/b.jpg', caption: 'Second' },
+  { src: '/c.jpg' }
+];
+
+let env;
+
+afterEach(() => env.teardown());
+
+function key(name) {
+  env.document.dispatchEvent(new env.window.KeyboardEvent('keydown', { key: name }));
+}
+
+test('Lightbox opens on an image with counter and caption', () => {
+  env = setupDOM();
+  const lightbox = new Lightbox();
+
+  lightbox.open(IMAGES, 1);
+
+  assert.ok(lightbox.element.classList.contains('active'));
+  assert.equal(env.document.body.style.overflow, 'hidden');
+  assert.equal(lightbox.counter.textContent, '2 / 3');
+  assert.equal(lightbox.caption.textContent, 'Second');
+  assert.equal(lightbox.closeBtn.getAttribute('aria-label'), 'Close');
+});
+
+test('Lightbox wraps around with the arrow keys and closes on Escape', () => {
+  env = setupDOM();
+  const lightbox = new Lightbox();
+  lightbox.open(IMAGES, 0);
+
+  key('ArrowLeft');
+  assert.equal(lightbox.currentIndex, 2);
+  assert.equal(lightbox.caption.style.display, 'none');
+
+  key('ArrowRight');
+  assert.equal(lightbox.currentIndex, 0);
+
+  key('Escape');
+  assert.equal(lightbox.isOpen, false);
+  assert.equal(env.document.body.style.overflow, '');
+});
+
+test('Lightbox hides navigation and counter for a single image', () => {
+  env = setupDOM();
+  const lightbox = new Lightbox();
+
+  lightbox.open([IMAGES[0]]);
+
+  assert.equal(lightbox.prevBtn.style.display, 'none');
+  assert.equal(lightbox.counter.style.display, 'none');
+});
+
+test('Lightbox reports open and close through RustPress.hooks', () => {
+  const actions = [];
+  env = setupDOM('', {
+    runtime: { hooks: { applyFilters: (name, value) => value, doAction: (name) => actions.push(name) } }
+  });
+  const lightbox = new Lightbox();
+
+  lightbox.open(IMAGES);
+  lightbox.close();
+
+  assert.deepEqual(actions, ['lightbox.open', 'lightbox.close']);
+});
+
+test('Slider builds the track, arrows and dots', () => {
+  env = setupDOM(SLIDES);
+  const element = env.document.querySelector('.slider');
+
+  const slider = new Slider(element);
+
+  assert.ok(element.classList.contains('slider-initialized'));
+  assert.equal(element.querySelectorAll('.slider-track > .slider-slide').length, 3);
+  assert.equal(element.querySelectorAll('.slider-arrow').length, 2);
+  assert.equal(slider.dots.length, 3);
+  assert.equal(element.querySelector('.slider-prev').getAttribute('aria-label'), 'Previous');
+});
+
+test('Slider moves between slides and loops at the ends', () => {
+  env = setupDOM(SLIDES);
+  const slider = new Slider(env.document.querySelector('.slider'));
+
+  slider.next();
+  assert.equal(slider.currentIndex, 1);
+  assert.ok(slider.dots[1].classList.contains('active'));
+
+  slider.goTo(2);
+  slider.next();
+  assert.equal(slider.currentIndex, 0);
+
+  slider.prev();
+  assert.equal(slider.currentIndex, 2);
+});
+
+test('Slider does not loop with loop: false', () => {
+  env = setupDOM(SLIDES);
+  const slider = new Slider(env.document.querySelector('.slider'), { loop: false });
+
+  slider.prev();
+  assert.equal(slider.currentIndex, 0);
+
+  slider.goTo(2);
+  slider.next();
+  assert.equal(slider.currentIndex, 2);
+});
+
+test('Slider autoplay stays off with reduced motion', () => {
+  env = setupDOM(SLIDES, { reducedMotion: true });
+  const slider = new Slider(env.document.querySelector('.slider'), { autoplay: true });
+
+  assert.equal(slider.autoplayId, null);
+  slider.destroy();
+});
+
+test('Slider destroy restores the original markup', () => {
+  env = setupDOM(SLIDES);
+  const element = env.document.querySelector('.slider');
+  const slider = new Slider(element, { autoplay: true });
+  assert.notEqual(slider.autoplayId, null);
+
+  slider.destroy();
+
+  assert.equal(slider.autoplayId, null);
+  assert.equal(element.querySelector('.slider-track'), null);
+  assert.equal(element.querySelector('.slider-dots'), null);
+  assert.equal(element.querySelectorAll(':scope > .slider-slide').length, 3);
+  assert.ok(!element.classList.contains('slider-initialized'));
+});
@@ -0,0 +1,163 @@
+/**
+ * jsdom documents for the tests.
+ *
+ * setupDOM() installs a document as the global window/document for one test.
+ * The component modules look up RustPress services on every call, so a test
+ * can pass a runtime to stand in for the theme scripts, or leave it out to
+ * exercise the module fallbacks.
+ *
+ * loadTheme() runs the theme's classic scripts from assets/js inside a
+ * document instead, as base.html would.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const SCRIPTS_DIR = new URL('../../assets/js/', import.meta.url);
+
+const GLOBALS = [
+  'window',
+  'document',
+  'navigator',
+  'Node',
+  'HTMLElement',
+  'AbortController',
+  'Event',
+  'KeyboardEvent',
+  'MouseEvent',
+  'FormData',
+  'Image',
+  'IntersectionObserver',
+  'requestAnimationFrame',
+  'cancelAnimationFrame'
+];
+
+/**
+ * Records observed elements; trigger() delivers entries to the callback
+ */
+class FakeIntersectionObserver {
+  static instances = [];
+
+  constructor(callback, options = {}) {
+    this.callback = callback;
+    this.options = options;
+    this.elements = new Set();
+    FakeIntersectionObserver.instances.push(this);
+  }
+
+  observe(element) {
+    this.elements.add(element);
+  }
+
+  unobserve(element) {
+    this.elements.delete(element);
+  }
+
+  disconnect() {
+    this.elements.clear();
+  }
+
+  trigger(isIntersecting) {
+    this.callback(Array.from(this.elements, target => ({ target, isIntersecting })), this);
+  }
+}
+
+function createWindow(body, { reducedMotion = false, runScripts } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><html lang="en"><head></head><body>${body}</body></html>`, {
+    url: 'https://example.test/',
+    runScripts
+  });
+  const { window } = dom;
+
+  // Animation frames run when the test calls frame()
+  const frames = new Map();
+  let nextFrame = 1;
+
+  window.requestAnimationFrame = (callback) => {
+    frames.set(nextFrame, callback);
+    return nextFrame++;
+  };
+  window.cancelAnimationFrame = (id) => frames.delete(id);
+  window.matchMedia = (query) => ({
+    media: query,
+    matches: query.includes('prefers-reduced-motion') && reducedMotion,
+    addEventListener() {},
+    removeEventListener() {}
+  });
+  window.IntersectionObserver = FakeIntersectionObserver;
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  // jsdom has no CSSOM namespace; the loader only escapes URLs
+  window.CSS ??= { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+  FakeIntersectionObserver.instances = [];
+
+  return {
+    window,
+    document: window.document,
+    observers: FakeIntersectionObserver.instances,
+
+    frame(timestamp) {
+      const pending = Array.from(frames.values());
+      frames.clear();
+      pending.forEach(callback => callback(timestamp));
+    }
+  };
+}
+
+export function setupDOM(body = '', { runtime, ...options } = {}) {
+  const env = createWindow(body, options);
+  const { window } = env;
+
+  if (runtime) window.RustPress = runtime;
+
+  const previous = new Map();
+  GLOBALS.forEach(name => {
+    previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+    Object.defineProperty(globalThis, name, {
+      value: name === 'window' ? window : window[name],
+      configurable: true,
+      writable: true
+    });
+  });
+
+  return {
+    ...env,
+
+    teardown() {
+      previous.forEach((descriptor, name) => {
+        if (descriptor) {
+          Object.defineProperty(globalThis, name, descriptor);
+        } else {
+          delete globalThis[name];
+        }
+      });
+      window.close();
+    }
+  };
+}
+
+export function runScript(window, name) {
+  window.eval(readFileSync(new URL(name, SCRIPTS_DIR), 'utf8'));
+}
+
+/**
+ * Run theme scripts (file names in assets/js) in order, then fire
+ * DOMContentLoaded so they mount. options.before(window) runs first.
+ */
+export async function loadTheme(body, scripts, options = {}) {
+  const env = createWindow(body, { ...options, runScripts: 'outside-only' });
+  const { window } = env;
+
+  options.before?.(window);
+
+  const ready = new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+  scripts.forEach(name => runScript(window, name));
+  await ready;
+
+  return {
+    ...env,
+
+    teardown() {
+      window.close();
+    }
+  };
+}
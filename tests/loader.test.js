@@ -0,0 +1,91 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTheme, runScript } from './helpers/dom.js';
+
+const SCRIPTS = ['core.js', 'hooks.js', 'config.js', 'loader.js'];
+
+let env;
+
+afterEach(() => env.teardown());
+
+// Modules are injected once their dependencies have resolved
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function injected() {
+  return Array.from(env.document.querySelectorAll('script[data-loader]'), script => script.dataset.loader);
+}
+
+// jsdom windows are never framed; give this one a parent that records messages
+function framed(messages) {
+  return (window) => {
+    Object.defineProperty(window, 'parent', {
+      configurable: true,
+      value: { postMessage: (message, origin) => messages.push({ message, origin }) }
+    });
+  };
+}
+
+test('a page without feature markup loads no modules', async () => {
+  env = await loadTheme('<main><p>Plain page</p></main>', SCRIPTS);
+  await settle();
+
+  assert.deepEqual(injected(), []);
+});
+
+test('modules load for the markup on the page', async () => {
+  env = await loadTheme(`
+    <section data-animate="fade-up">
+      <div class="code-example"><button class="code-tab">Rust</button></div>
+    </section>
+  `, SCRIPTS);
+  await settle();
+
+  assert.deepEqual(injected().sort(), ['animations', 'code-tabs']);
+});
+
+test('component modules load as ES modules with a modulepreload hint', async () => {
+  env = await loadTheme('<div data-slider></div>', SCRIPTS);
+  await settle();
+
+  const script = env.document.querySelector('script[data-loader="gallery"]');
+  assert.equal(script.type, 'module');
+  assert.ok(env.document.querySelector(`link[rel="modulepreload"][href="${script.src}"]`));
+});
+
+test('the customizer preview only loads inside a frame', async () => {
+  env = await loadTheme('', SCRIPTS);
+  await settle();
+  assert.ok(!injected().includes('customizer-preview'));
+  env.teardown();
+
+  env = await loadTheme('', SCRIPTS, { before: framed([]) });
+  await settle();
+  assert.deepEqual(injected(), ['customizer-preview']);
+});
+
+test('the customizer preview announces itself when loaded after DOMContentLoaded', async () => {
+  const messages = [];
+  env = await loadTheme('', SCRIPTS, { before: framed(messages) });
+
+  runScript(env.window, 'customizer-preview.js');
+
+  assert.deepEqual(messages.map(({ message }) => message.type), ['rustpress:preview-ready']);
+  assert.equal(messages[0].origin, 'https://example.test');
+});
+
+test('revealOnScroll loads the animations module and forwards the call', async () => {
+  env = await loadTheme('<div class="card"></div>', [...SCRIPTS, 'motion.js', 'main.js']);
+
+  env.window.revealOnScroll('.card');
+  await settle();
+  assert.deepEqual(injected(), ['animations']);
+
+  // Stand in for the browser running the injected script
+  runScript(env.window, 'animations.js');
+  env.document.querySelector('script[data-loader="animations"]').dispatchEvent(new env.window.Event('load'));
+  await settle();
+
+  assert.ok(env.document.querySelector('.card').classList.contains('reveal-element'));
+});
@@ -0,0 +1,38 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTheme } from './helpers/dom.js';
+
+const SCRIPTS = ['core.js', 'hooks.js', 'config.js', 'motion.js'];
+
+const PAGE = '<button id="toggle" data-motion-toggle aria-pressed="false">Reduce motion</button>';
+
+let env;
+
+afterEach(() => env.teardown());
+
+test('the toggle goes back to system when it lands on the OS setting', async () => {
+  env = await loadTheme(PAGE, SCRIPTS);
+  const { motion } = env.window.RustPress;
+  const button = env.document.getElementById('toggle');
+
+  button.click();
+  assert.equal(motion.getPreference(), 'reduce');
+  assert.equal(button.getAttribute('aria-pressed'), 'true');
+
+  button.click();
+  assert.equal(motion.getPreference(), 'system');
+  assert.equal(motion.isReduced(), false);
+});
+
+test('with reduced motion from the OS the toggle switches to full and back', async () => {
+  env = await loadTheme(PAGE, SCRIPTS, { reducedMotion: true });
+  const { motion } = env.window.RustPress;
+
+  motion.toggle();
+  assert.equal(motion.getPreference(), 'full');
+  assert.equal(motion.isReduced(), false);
+
+  motion.toggle();
+  assert.equal(motion.getPreference(), 'system');
+  assert.equal(motion.isReduced(), true);
+});
@@ -0,0 +1,102 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM } from './helpers/dom.js';
+import { ParticleSystem } from '../assets/js/modules/index.js';
+
+let env;
+let calls;
+
+afterEach(() => env.teardown());
+
+// jsdom has no canvas; record the drawing calls instead
+function setup(options) {
+  env = setupDOM('<div class="hero"><canvas id="particles"></canvas></div>', options);
+  calls = [];
+
+  const context = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : (...args) => calls.push(name)),
+    set: (target, name, value) => {
+      target[name] = value;
+      return true;
+    }
+  });
+  env.window.HTMLCanvasElement.prototype.getContext = () => context;
+}
+
+test('ParticleSystem accepts a canvas id and creates the particles', () => {
+  setup();
+
+  const system = new ParticleSystem('particles', { particleCount: 12 });
+
+  assert.equal(system.canvas, env.document.getElementById('particles'));
+  assert.equal(system.particles.length, 12);
+  assert.equal(system.isRunning, true);
+  system.destroy();
+});
+
+test('ParticleSystem does nothing without a canvas', () => {
+  setup();
+
+  const system = new ParticleSystem('missing');
+
+  assert.equal(system.particles, undefined);
+});
+
+test('ParticleSystem defaults to the brand color without the theme', () => {
+  setup();
+
+  const system = new ParticleSystem('particles', { particleCount: 1 });
+
+  assert.equal(system.options.particleColor, 'rgba(206, 66, 43, 0.6)');
+  assert.equal(system.options.lineColor, 'rgba(206, 66, 43, 0.15)');
+  system.destroy();
+});
+
+test('ParticleSystem takes colors from RustPress.config', () => {
+  setup({
+    runtime: {
+      config: { color: (name, alpha) => `${name}/${alpha}` },
+      motion: { isReduced: () => false, onChange: () => () => {} }
+    }
+  });
+
+  const system = new ParticleSystem('particles', { particleCount: 1 });
+
+  assert.equal(system.options.particleColor, 'primary/0.6');
+  system.destroy();
+});
+
+test('ParticleSystem draws a still frame with reduced motion', () => {
+  setup({ reducedMotion: true });
+
+  const system = new ParticleSystem('particles', { particleCount: 3 });
+
+  assert.equal(system.isRunning, false);
+  assert.equal(system.animationId, null);
+  assert.ok(calls.includes('clearRect'));
+  assert.equal(calls.filter(name => name === 'arc').length, 3);
+});
+
+test('ParticleSystem pauses off screen and resumes when visible', () => {
+  setup();
+  const system = new ParticleSystem('particles', { particleCount: 3 });
+  const [observer] = env.observers;
+
+  observer.trigger(false);
+  assert.equal(system.isRunning, false);
+
+  observer.trigger(true);
+  assert.equal(system.isRunning, true);
+  system.destroy();
+});
+
+test('ParticleSystem destroy stops the loop and the observer', () => {
+  setup();
+  const system = new ParticleSystem('particles', { particleCount: 3 });
+  const [observer] = env.observers;
+
+  system.destroy();
+
+  assert.equal(system.isRunning, false);
+  assert.equal(observer.elements.size, 0);
+});